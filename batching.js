@@ -0,0 +1,169 @@
+// src/batching.js
+// Batched rendering for large builds.
+// Per-block meshes stay in blocksGroup as the editing model (raycasting, selection, history,
+// export all keep working per block) but are hidden; what is drawn are merged buffers, one per
+// (look, spatial chunk). A block's "look" is everything that affects how its material renders,
+// so blocks that differ only in position/size share a single draw call.
+// Note: three's Raycaster ignores `visible`, so hidden block meshes still receive picks.
+
+import * as THREE from "three";
+import { mergeGeometries } from "three/examples/jsm/utils/BufferGeometryUtils";
+
+// texture slots whose tiling is baked into the merged uvs (same list as the editor's presets)
+const TEXTURE_SLOTS = ['map', 'normalMap', 'roughnessMap'];
+
+function sourceId(tex){
+  return tex ? (tex.source ? tex.source.uuid : tex.uuid) : '-';
+}
+
+export function createBlockBatcher(opts){
+  const parent = opts.parent;
+  const chunkSize = opts.chunkSize || 48;
+  // block may be drawn from a batch (false while it is animating or being dragged)
+  const isBatchable = opts.isBatchable || (() => true);
+
+  const group = new THREE.Group();
+  group.name = "BlockBatches";
+  parent.add(group);
+
+  // key -> { members: Set<mesh>, mesh: THREE.Mesh|null, dirty }
+  const batches = new Map();
+  // block mesh -> key of the batch it is drawn from
+  const keyOf = new Map();
+  const pending = new Set();
+
+  function colorHex(c){
+    return c ? c.getHexString() : '-';
+  }
+
+  // everything that changes how a block's material renders (not its transform)
+  function lookKey(mesh){
+    const m = mesh.material;
+    if(!m) return 'none';
+    return [
+      m.type,
+      colorHex(m.color),
+      colorHex(m.emissive),
+      m.emissiveIntensity,
+      m.roughness,
+      m.metalness,
+      m.transparent ? 1 : 0,
+      m.opacity,
+      m.side,
+      ...TEXTURE_SLOTS.map(slot => sourceId(m[slot])),
+      m.envMapIntensity,
+      mesh.castShadow ? 1 : 0,
+      mesh.receiveShadow ? 1 : 0
+    ].join('|');
+  }
+
+  function chunkKey(mesh){
+    const p = mesh.position;
+    return Math.floor(p.x / chunkSize) + ',' + Math.floor(p.y / chunkSize) + ',' + Math.floor(p.z / chunkSize);
+  }
+
+  // queue a block for re-evaluation (added, removed, moved, or its material changed)
+  function invalidate(mesh){
+    if(mesh) pending.add(mesh);
+  }
+
+  function detach(mesh){
+    const key = keyOf.get(mesh);
+    if(key === undefined) return;
+    keyOf.delete(mesh);
+    const b = batches.get(key);
+    if(b){
+      b.members.delete(mesh);
+      b.dirty = true;
+    }
+  }
+
+  function attach(mesh){
+    const key = lookKey(mesh) + '@' + chunkKey(mesh);
+    let b = batches.get(key);
+    if(!b){
+      b = { members: new Set(), mesh: null, dirty: true };
+      batches.set(key, b);
+    }
+    b.members.add(mesh);
+    b.dirty = true;
+    keyOf.set(mesh, key);
+  }
+
+  function disposeBatchMesh(b){
+    if(!b.mesh) return;
+    group.remove(b.mesh);
+    b.mesh.geometry.dispose();
+    for(const slot of TEXTURE_SLOTS) if(b.mesh.material[slot]) b.mesh.material[slot].dispose();
+    b.mesh.material.dispose();
+    b.mesh = null;
+  }
+
+  // world-space copy of a block's geometry with its texture repeat baked into the uvs
+  function bakedGeometry(mesh){
+    const geo = mesh.geometry.clone();
+    mesh.updateMatrixWorld();
+    geo.applyMatrix4(mesh.matrixWorld);
+    const map = mesh.material && mesh.material.map;
+    const uv = geo.getAttribute('uv');
+    if(map && uv){
+      for(let i=0;i<uv.count;i++){
+        uv.setXY(i, uv.getX(i) * map.repeat.x + map.offset.x, uv.getY(i) * map.repeat.y + map.offset.y);
+      }
+    }
+    return geo;
+  }
+
+  function rebuild(b){
+    disposeBatchMesh(b);
+    if(!b.members.size) return;
+    const list = Array.from(b.members);
+    const parts = list.map(bakedGeometry);
+    const merged = mergeGeometries(parts, false);
+    parts.forEach(g => g.dispose());
+    if(!merged) return;
+    const sample = list[0];
+    const mat = sample.material.clone();
+    // repeat is already baked into the merged uvs (every texture slot shares the map's tiling)
+    for(const slot of TEXTURE_SLOTS){
+      if(!mat[slot]) continue;
+      mat[slot] = mat[slot].clone();
+      mat[slot].repeat.set(1, 1);
+      mat[slot].offset.set(0, 0);
+      mat[slot].wrapS = mat[slot].wrapT = THREE.RepeatWrapping;
+      mat[slot].needsUpdate = true;
+    }
+    const mesh = new THREE.Mesh(merged, mat);
+    mesh.castShadow = sample.castShadow;
+    mesh.receiveShadow = sample.receiveShadow;
+    mesh.matrixAutoUpdate = false;
+    mesh.userData.__batch = true;
+    group.add(mesh);
+    b.mesh = mesh;
+  }
+
+  // apply queued changes; call once per frame before rendering
+  function flush(){
+    if(pending.size){
+      for(const mesh of pending){
+        detach(mesh);
+        const alive = mesh.parent && mesh.parent !== group && mesh.userData && mesh.userData.uid != null;
+        if(alive && isBatchable(mesh)){
+          attach(mesh);
+          mesh.visible = false;
+        } else {
+          mesh.visible = true;
+        }
+      }
+      pending.clear();
+    }
+    for(const [key, b] of batches){
+      if(!b.dirty) continue;
+      b.dirty = false;
+      rebuild(b);
+      if(!b.members.size) batches.delete(key);
+    }
+  }
+
+  return { invalidate, flush, group };
+}
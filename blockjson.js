@@ -0,0 +1,212 @@
+// src/blockjson.js
+// Parsing, validation and normalization of block JSON (the compact P,S,C,M,E,T,K,A,R format
+// plus the long Roblox-style names accepted on import). DOM-free so ui.js and the file
+// import paths share one implementation.
+
+// JSON.parse with the line/column of a syntax error.
+// returns { value } on success or { error: { message, line, column } }
+export function parseJsonWithLocation(text){
+  try{
+    return { value: JSON.parse(text) };
+  }catch(e){
+    const message = String(e && e.message || e);
+    let line = null, column = null;
+    // V8 ("... at position 12", newer versions add "(line 2 column 5)") and Firefox ("at line 2 column 5")
+    const lc = /line (\d+) column (\d+)/.exec(message);
+    const pos = /position (\d+)/.exec(message);
+    if(lc){
+      line = Number(lc[1]);
+      column = Number(lc[2]);
+    } else if(pos){
+      const before = text.slice(0, Number(pos[1]));
+      const lines = before.split('\n');
+      line = lines.length;
+      column = lines[lines.length - 1].length + 1;
+    } else if(/end of (JSON )?input|unexpected end/i.test(message)){
+      const lines = text.split('\n');
+      line = lines.length;
+      column = lines[lines.length - 1].length + 1;
+    }
+    return { error: { message, line, column } };
+  }
+}
+
+// read a 3-vector given as [x,y,z] or {X,Y,Z} (lower-case keys too when `lower`); missing parts -> undefined
+function readVec3(v, lower){
+  if(Array.isArray(v)) return [v[0], v[1], v[2]];
+  if(v && typeof v === 'object'){
+    return [
+      v.X !== undefined || !lower ? v.X : v.x,
+      v.Y !== undefined || !lower ? v.Y : v.y,
+      v.Z !== undefined || !lower ? v.Z : v.z
+    ];
+  }
+  return null;
+}
+
+function readColor(v){
+  if(Array.isArray(v)) return [v[0], v[1], v[2]];
+  if(v && typeof v === 'object'){
+    return [
+      v.R !== undefined ? v.R : v.r,
+      v.G !== undefined ? v.G : v.g,
+      v.B !== undefined ? v.B : v.b
+    ];
+  }
+  return null;
+}
+
+const isNum = (v) => typeof v === 'number' && isFinite(v);
+
+// list every problem in an imported array: [{ index, field, message }].
+// index is null for problems with the whole document.
+// Unknown material names are not problems: the import falls back to the block color and warns.
+export function validateImportedArray(arr){
+  const problems = [];
+  if(!Array.isArray(arr)){
+    problems.push({ index: null, field: null, message: 'JSON은 블록 객체의 배열이어야 합니다.' });
+    return problems;
+  }
+  arr.forEach((b, index)=>{
+    const add = (field, message) => problems.push({ index, field, message });
+    if(!b || typeof b !== 'object' || Array.isArray(b)){
+      add(null, '블록 객체가 아닙니다.');
+      return;
+    }
+    // POSITION
+    const posT = b.P || b.Position || b.Pos;
+    if(!posT){
+      add('P', '위치(P)가 없습니다.');
+    } else {
+      const p = readVec3(posT);
+      if(!p) add('P', '위치(P)는 [x,y,z] 배열이어야 합니다.');
+      else p.forEach((v, i)=>{ if(!isNum(v)) add('P', `위치 ${'XYZ'[i]} 값이 숫자가 아닙니다 (${JSON.stringify(v)}).`); });
+    }
+    // SIZE
+    const sizeT = b.S || b.Size;
+    if(!sizeT){
+      add('S', '크기(S)가 없습니다.');
+    } else {
+      const s = readVec3(sizeT);
+      if(!s) add('S', '크기(S)는 [x,y,z] 배열이어야 합니다.');
+      else s.forEach((v, i)=>{
+        if(!isNum(v)) add('S', `크기 ${'XYZ'[i]} 값이 숫자가 아닙니다 (${JSON.stringify(v)}).`);
+        else if(Math.round(v) < 1) add('S', `크기 ${'XYZ'[i]} 값은 1 이상이어야 합니다 (${v}).`);
+      });
+    }
+    // COLOR
+    const colT = b.C || b.Color;
+    if(colT !== undefined && colT !== null){
+      const c = readColor(colT);
+      if(!c) add('C', '색상(C)은 [r,g,b] 배열이어야 합니다.');
+      else c.forEach((v, i)=>{
+        if(!isNum(v)) add('C', `색상 ${'RGB'[i]} 값이 숫자가 아닙니다 (${JSON.stringify(v)}).`);
+        else if(v < 0 || v > 255) add('C', `색상 ${'RGB'[i]} 값이 범위를 벗어났습니다 (${v}).`);
+      });
+    }
+    // MATERIAL
+    const mat = b.M || b.Material;
+    if(mat !== undefined && mat !== null){
+      if(typeof mat !== 'string') add('M', '재질(M)은 문자열이어야 합니다.');
+    }
+    // TRANSPARENCY
+    const t = (b.T !== undefined) ? b.T : b.Transparency;
+    if(t !== undefined && (!isNum(t) || t < 0 || t > 1)) add('T', `투명도(T)는 0~1 사이 숫자여야 합니다 (${JSON.stringify(t)}).`);
+    // ROTATION
+    const rotT = b.R || b.Rotation || b.Orientation;
+    if(rotT !== undefined && rotT !== null){
+      const r = readVec3(rotT, true);
+      if(!r) add('R', '회전(R)은 [x,y,z] 배열이어야 합니다.');
+      else r.forEach((v, i)=>{ if(v !== undefined && !isNum(v)) add('R', `회전 ${'XYZ'[i]} 값이 숫자가 아닙니다 (${JSON.stringify(v)}).`); });
+    }
+  });
+  return problems;
+}
+
+// normalize imported JSON to engine-compact keys (only on import).
+// Accepts Position/Size/Color/Anchored/CanCollide/Transparency/Editable/Material/Rotation.
+export function normalizeImportedArray(arr){
+  if(!Array.isArray(arr)) return [];
+  const out = [];
+  arr.forEach(blockData=>{
+    if(!blockData || typeof blockData !== 'object') return;
+    // POSITION
+    const posT = blockData.P || blockData.Position || blockData.Pos;
+    if(!posT) return;
+    const px = (typeof posT[0] === 'number') ? posT[0] : (posT.X || 0);
+    const py = (typeof posT[1] === 'number') ? posT[1] : (posT.Y || 0);
+    const pz = (typeof posT[2] === 'number') ? posT[2] : (posT.Z || 0);
+
+    // SIZE
+    const sizeT = blockData.S || blockData.Size;
+    if(!sizeT) return;
+    const sx = (typeof sizeT[0] === 'number') ? sizeT[0] : (sizeT.X || 1);
+    const sy = (typeof sizeT[1] === 'number') ? sizeT[1] : (sizeT.Y || 1);
+    const sz = (typeof sizeT[2] === 'number') ? sizeT[2] : (sizeT.Z || 1);
+
+    // COLOR (expect normalized 0..1) - support Color or C
+    const colT = blockData.C || blockData.Color;
+    // allow Color as object with R/G/B as well
+    let r=1,g=1,b=1;
+    if(colT){
+      if(Array.isArray(colT)){
+        r = (typeof colT[0] === 'number') ? colT[0] : (colT.R || 1);
+        g = (typeof colT[1] === 'number') ? colT[1] : (colT.G || 1);
+        b = (typeof colT[2] === 'number') ? colT[2] : (colT.B || 1);
+      } else if(typeof colT === 'object'){
+        r = (typeof colT.R === 'number') ? colT.R : (colT.r || 1);
+        g = (typeof colT.G === 'number') ? colT.G : (colT.g || 1);
+        b = (typeof colT.B === 'number') ? colT.B : (colT.b || 1);
+      }
+      // If values appear in 0..255 range, normalize them to 0..1
+      if(r > 1 || g > 1 || b > 1){
+        r = Math.min(1, r/255);
+        g = Math.min(1, g/255);
+        b = Math.min(1, b/255);
+      }
+    }
+
+    // optional flags with defaults: E=false, K=true, A=true. A missing T means the material's
+    // default transparency (Glass), so an explicit T (even 0) is kept
+    const editable = (blockData.E !== undefined) ? !!blockData.E : (blockData.Editable !== undefined ? !!blockData.Editable : false);
+    const transparency = (typeof blockData.T === 'number') ? blockData.T : (typeof blockData.Transparency === 'number' ? blockData.Transparency : 0);
+    const canCollide = (blockData.K !== undefined) ? !!blockData.K : (blockData.CanCollide !== undefined ? !!blockData.CanCollide : true);
+    const anchored = (blockData.A !== undefined) ? !!blockData.A : (blockData.Anchored !== undefined ? !!blockData.Anchored : true);
+
+    const materialName = blockData.M || blockData.Material || null;
+
+    // ORIENTATION (Euler degrees) - support R, Rotation or Orientation as array or {X,Y,Z}
+    const rotT = blockData.R || blockData.Rotation || blockData.Orientation;
+    let rot = null;
+    if(rotT && typeof rotT === 'object'){
+      const rx = Number(Array.isArray(rotT) ? rotT[0] : (rotT.X !== undefined ? rotT.X : rotT.x)) || 0;
+      const ry = Number(Array.isArray(rotT) ? rotT[1] : (rotT.Y !== undefined ? rotT.Y : rotT.y)) || 0;
+      const rz = Number(Array.isArray(rotT) ? rotT[2] : (rotT.Z !== undefined ? rotT.Z : rotT.z)) || 0;
+      if(rx || ry || rz) rot = [rx, ry, rz];
+    }
+
+    // positions keep up to 3 decimals: exact project files carry half-unit center Y values
+    const normalized = {
+      P: [px, py, pz].map(v => Math.round(v * 1000) / 1000),
+      S: [Math.round(sx), Math.round(sy), Math.round(sz)]
+    };
+    // include color only if present in source
+    if(colT) normalized.C = [r,g,b];
+    if(materialName) normalized.M = materialName;
+    if(editable === true) normalized.E = true;
+    if(typeof blockData.T === 'number' || typeof blockData.Transparency === 'number') normalized.T = transparency;
+    if(canCollide === false) normalized.K = false;
+    if(anchored === false) normalized.A = false;
+    if(rot) normalized.R = rot;
+
+    out.push(normalized);
+  });
+  return out;
+}
+
+// entries of arr that have no validation problems
+export function validEntries(arr, problems){
+  if(!Array.isArray(arr)) return [];
+  const bad = new Set(problems.filter(p => p.index !== null).map(p => p.index));
+  return arr.filter((_, i) => !bad.has(i));
+}
@@ -5,7 +5,14 @@
 
 import * as THREE from "three";
 import { OrbitControls } from "three/examples/jsm/controls/OrbitControls";
+import { RoomEnvironment } from "three/examples/jsm/environments/RoomEnvironment";
 import { wireUI } from "./ui.js";
+import { createHistory } from "./history.js";
+import { createOccupancy } from "./occupancy.js";
+import { createBlockBatcher } from "./batching.js";
+import { mergeBoxes, verifyMerge } from "./optimize.js";
+import { createMaterialThumbnailer } from "./thumbnails.js";
+import { writeBoxUVs } from "./texcoords.js";
 
 const canvas = document.getElementById("c");
 const renderer = new THREE.WebGLRenderer({ canvas, antialias: true });
@@ -192,27 +199,44 @@ initClouds();
 export const blocksGroup = new THREE.Group(); blocksGroup.name = "Blocks"; scene.add(blocksGroup);
 export const growHandlesGroup = new THREE.Group(); growHandlesGroup.name = "GrowHandles"; scene.add(growHandlesGroup);
 export const previewGroup = new THREE.Group(); previewGroup.name = "Preview"; scene.add(previewGroup);
+// pending rescale region fill (kept apart from the grow preview so a handle drag doesn't wipe it)
+const fillPreviewGroup = new THREE.Group(); fillPreviewGroup.name = "FillPreview"; scene.add(fillPreviewGroup);
+// generated shape waiting to be placed (Generate panel)
+const shapePreviewGroup = new THREE.Group(); shapePreviewGroup.name = "ShapePreview"; scene.add(shapePreviewGroup);
 
 // State
+// selectedMesh is the primary (last clicked) block; `selection` holds every selected block
 export let selectedMesh = null;
+export const selection = new Set();
 let isDraggingGrow = false;
 let activeGrow = null;
 export const PREVIEW_MAT = new THREE.MeshStandardMaterial({ color: 0x3399ff, transparent: true, opacity: 0.45, depthWrite: false, emissive: 0x2da6ff, emissiveIntensity: 0.12 });
 const GROW_SPHERE_RADIUS = 0.35;
 
-// Tool mode state (null | 'rescale' | 'paint' | 'material' | 'setting' | 'json')
+// Tool mode state (null | 'rescale' | 'move' | 'rotate' | 'eyedropper' | 'replace' | 'generate' | 'paint' | 'material' | 'setting' | 'json')
 let toolMode = null;
+// tools where clicking a block or the ground selects/manipulates instead of placing
+const NON_PLACING_TOOLS = new Set(['move', 'rotate', 'inspect', 'eyedropper', 'replace', 'generate']);
 export function setToolMode(mode){
   toolMode = mode;
+  // abort a move drag in progress and hide the gizmo outside the move tool
+  if(toolMode !== 'move'){
+    cancelMoveDrag();
+    moveGizmo.visible = false;
+  }
   // when not in rescale mode, clear any painting preview markers
   if(toolMode !== 'rescale'){
     isPainting = false;
-    paintedMap.clear();
+    clearPaintMarkers();
   }
   // remove grow handles when leaving rescale mode so resizing is only possible while rescale is active
   if(toolMode !== 'rescale'){
     removeGrowHandles();
   }
+  // find results are only outlined while the Replace panel is open
+  if(toolMode !== 'replace') clearBlockHighlight();
+  // a generated shape that was not placed is dropped with its panel
+  if(toolMode !== 'generate') cancelShape();
 }
 
 // NEW: place/installation mode flag (true = allow placement). Default ON.
@@ -220,10 +244,32 @@ export let placeMode = true;
 export function setPlaceMode(on){
   placeMode = !!on;
 }
+// placement is allowed when place mode is ON and the active tool does not use clicks itself
+function canPlaceNow(){
+  return placeMode && !NON_PLACING_TOOLS.has(toolMode) && !bucketActive();
+}
+
+// Paint / Material bucket: clicking a block fills its connected region instead of placing.
+// match: 'both' (same color and material) | 'color' | 'material'; sameLayer keeps the fill
+// on blocks standing on the clicked block's floor level.
+const bucketOptions = { enabled: false, sameLayer: false, match: 'both' };
+export function getBucketOptions(){
+  return { ...bucketOptions };
+}
+export function setBucketOptions(opts){
+  if(!opts) return;
+  if(typeof opts.enabled === 'boolean') bucketOptions.enabled = opts.enabled;
+  if(typeof opts.sameLayer === 'boolean') bucketOptions.sameLayer = opts.sameLayer;
+  if(opts.match === 'both' || opts.match === 'color' || opts.match === 'material') bucketOptions.match = opts.match;
+}
+function bucketActive(){
+  return bucketOptions.enabled && (toolMode === 'paint' || toolMode === 'material');
+}
 
 // simple paint state for rescale tool
 let isPainting = false;
-// map to track which block ids were painted in current drag so we don't duplicate
+// map to track which block ids were painted in current drag so we don't duplicate.
+// values are { mesh, marker }; insertion order keeps the first marked block first.
 const paintedMap = new Map();
 
 // helper to create small blue circular marker on block center
@@ -239,19 +285,231 @@ function createPaintMarkerAt(mesh){
   circ.position.set(mesh.position.x, mesh.position.y + (mesh.userData && mesh.userData.S ? -mesh.userData.S[1]/2 + 0.01 : 0.01), mesh.position.z);
   circ.userData.__paintMarker = true;
   scene.add(circ);
-  paintedMap.set(id, circ);
+  paintedMap.set(id, { mesh, marker: circ });
 }
 
-// remove all paint markers
+// remove all paint markers (and any fill preview built from them)
 export function clearPaintMarkers(){
   for(const v of paintedMap.values()){
-    scene.remove(v);
-    if(v.geometry) v.geometry.dispose();
-    if(v.material) v.material.dispose && v.material.dispose();
+    scene.remove(v.marker);
+    if(v.marker.geometry) v.marker.geometry.dispose();
+    if(v.marker.material) v.marker.material.dispose && v.marker.material.dispose();
   }
   paintedMap.clear();
+  discardFillPreview();
+}
+
+// --- Rescale region fill ---
+// The marked blocks span a region (their combined bounding box). Cells of the first marked
+// block's size that fit inside it and are still empty get filled with copies of that block.
+const MAX_FILL_BLOCKS = 2000;
+let pendingFill = null; // { source, centers }
+
+// detail: { count } of previewed blocks (0 = no pending fill); tooLarge when the region was rejected
+function notifyFillPreview(tooLarge){
+  const count = pendingFill ? pendingFill.centers.length : 0;
+  window.dispatchEvent(new CustomEvent('fill:preview', { detail: { count, tooLarge: !!tooLarge, max: MAX_FILL_BLOCKS } }));
+}
+
+// centers of the empty cells to fill, or null when the region is too large
+function computeRegionFill(marked){
+  const source = marked[0];
+  const region = new THREE.Box3();
+  for(const m of marked) region.union(blockWorldBox(m));
+  // tile with the source's world-space footprint so 90° rotated sources pack without gaps
+  const srcBox = blockWorldBox(source);
+  const step = srcBox.getSize(new THREE.Vector3());
+  const origin = srcBox.getCenter(new THREE.Vector3());
+  const eps = 1e-3;
+  const range = (axis)=>{
+    const lo = Math.ceil((region.min[axis] - origin[axis]) / step[axis] + 0.5 - eps);
+    const hi = Math.floor((region.max[axis] - origin[axis]) / step[axis] - 0.5 + eps);
+    return [lo, hi];
+  };
+  const [x0, x1] = range('x'), [y0, y1] = range('y'), [z0, z1] = range('z');
+  const total = Math.max(0, x1 - x0 + 1) * Math.max(0, y1 - y0 + 1) * Math.max(0, z1 - z0 + 1);
+  if(total > MAX_FILL_BLOCKS) return null;
+  const centers = [];
+  const cell = new THREE.Box3();
+  const half = step.clone().multiplyScalar(0.5);
+  for(let ix=x0; ix<=x1; ix++){
+    for(let iy=y0; iy<=y1; iy++){
+      for(let iz=z0; iz<=z1; iz++){
+        const c = new THREE.Vector3(origin.x + ix * step.x, origin.y + iy * step.y, origin.z + iz * step.z);
+        cell.min.copy(c).sub(half);
+        cell.max.copy(c).add(half);
+        if(!occupancy.isEmpty(cell)) continue;
+        centers.push(c);
+      }
+    }
+  }
+  return centers;
 }
 
+// build the confirm/cancel preview from the current paint markers
+function previewRegionFill(){
+  const marked = Array.from(paintedMap.values()).map(v => v.mesh).filter(m => m.parent === blocksGroup);
+  discardFillPreview();
+  if(marked.length < 2) return false;
+  const centers = computeRegionFill(marked);
+  if(centers === null){
+    notifyFillPreview(true);
+    return false;
+  }
+  if(!centers.length) return false;
+  const source = marked[0];
+  const S = source.userData.S || [GRID_UNIT, GRID_UNIT, GRID_UNIT];
+  const geom = new THREE.BoxGeometry(S[0], S[1], S[2]);
+  for(const c of centers){
+    const box = new THREE.Mesh(geom, PREVIEW_MAT);
+    box.position.copy(c);
+    box.quaternion.copy(source.quaternion);
+    fillPreviewGroup.add(box);
+  }
+  pendingFill = { source, centers };
+  notifyFillPreview();
+  return true;
+}
+
+// place the previewed blocks as one undoable step
+export function confirmRegionFill(){
+  if(!pendingFill) return 0;
+  const { source, centers } = pendingFill;
+  discardFillPreview();
+  if(source.parent === blocksGroup){
+    runCommand('영역 채우기', ()=>{
+      for(const c of centers) cloneBlockAt(source, c);
+    });
+    updateJSON();
+  }
+  clearPaintMarkers();
+  return centers.length;
+}
+
+function discardFillPreview(){
+  if(!pendingFill && !fillPreviewGroup.children.length) return;
+  pendingFill = null;
+  // all preview boxes share one geometry
+  const first = fillPreviewGroup.children[0];
+  if(first && first.geometry) first.geometry.dispose();
+  fillPreviewGroup.clear();
+  notifyFillPreview();
+}
+
+// drop the pending fill together with the marks it came from
+export function cancelRegionFill(){
+  clearPaintMarkers();
+}
+
+export function hasPendingFill(){
+  return !!pendingFill;
+}
+// --- end rescale region fill ---
+
+// --- Shape generator preview ---
+// A generated shape (boxes from generators.js, local to its bottom-center) waits as a
+// PREVIEW_MAT ghost. It follows the pointer over the ground and block tops until a click pins
+// it; confirmShape() places it through placeBlockAt as one undoable step.
+let pendingShape = null; // { boxes, unit, pinned }
+
+// detail: { count } of boxes in the preview (0 = none), pinned once a click fixed its spot
+function notifyShapePreview(){
+  const detail = { count: pendingShape ? pendingShape.boxes.length : 0, pinned: !!(pendingShape && pendingShape.pinned), max: MAX_FILL_BLOCKS };
+  window.dispatchEvent(new CustomEvent('shape:preview', { detail }));
+}
+
+// show boxes ({ min, max } in studs) as the pending shape; keeps the previous shape's spot.
+// Returns false when there is nothing to show or more than MAX_FILL_BLOCKS parts.
+export function previewShape(boxes, opts){
+  const keepSpot = !!pendingShape;
+  disposeShapePreview();
+  if(!Array.isArray(boxes) || !boxes.length || boxes.length > MAX_FILL_BLOCKS){
+    pendingShape = null;
+    notifyShapePreview();
+    return false;
+  }
+  for(const b of boxes){
+    const size = [0,1,2].map(i => b.max[i] - b.min[i]);
+    const box = new THREE.Mesh(new THREE.BoxGeometry(size[0], size[1], size[2]), PREVIEW_MAT);
+    box.position.set((b.min[0] + b.max[0]) / 2, (b.min[1] + b.max[1]) / 2, (b.min[2] + b.max[2]) / 2);
+    shapePreviewGroup.add(box);
+  }
+  const unit = Math.max(1, Math.round((opts && opts.unit) || 1));
+  pendingShape = { boxes: boxes.map(b => ({ min: b.min.slice(0,3), max: b.max.slice(0,3) })), unit, pinned: keepSpot };
+  // a new shape starts on the ground below the orbit target
+  if(!keepSpot) moveShapeTo(new THREE.Vector3(controls.target.x, 1, controls.target.z));
+  else moveShapeTo(shapePreviewGroup.position);
+  notifyShapePreview();
+  return true;
+}
+
+// bottom-center of the shape onto point. Box faces sit on multiples of the block size, so the
+// origin snaps half a block off the multiples: each cell then lands where a click would center
+// a block of that size (snap(hit.x, s)), matching hand-placed blocks and the shifted grid.
+function shapeSnap(v, u){
+  return snap(v - u / 2, u) + u / 2;
+}
+function moveShapeTo(point){
+  if(!pendingShape) return;
+  const u = pendingShape.unit;
+  shapePreviewGroup.position.set(shapeSnap(point.x, u), Math.round(point.y), shapeSnap(point.z, u));
+}
+
+// where the pointer would put the shape: the ground, or the top of the block under it
+function shapeSpotFromPointer(){
+  const hit = raycaster.intersectObjects(blocksGroup.children.concat([ground]), false)[0];
+  if(!hit) return null;
+  if(hit.object === ground) return new THREE.Vector3(hit.point.x, 1, hit.point.z);
+  const n = hit.face ? hit.face.normal.clone().transformDirection(hit.object.matrixWorld) : null;
+  if(!n || n.y < 0.9) return null;
+  return new THREE.Vector3(hit.point.x, blockWorldBox(hit.object).max.y, hit.point.z);
+}
+
+// place the previewed shape with the current material / color / flags (one undoable step).
+// Boxes that would overlap existing blocks are skipped. Returns (and sends as 'shape:placed')
+// { placed, skipped }.
+export function confirmShape(){
+  if(!pendingShape) return { placed: 0, skipped: 0 };
+  const { boxes } = pendingShape;
+  const o = shapePreviewGroup.position.clone();
+  cancelShape();
+  const mat = getSelectedMaterial();
+  const materialOrColor = mat || getCurrentColorOverride() || [0.95, 0.95, 0.95];
+  const matName = mat ? selectedMaterialName : null;
+  let placed = 0;
+  runCommand('도형 생성', ()=>{
+    for(const b of boxes){
+      const size = [0,1,2].map(i => b.max[i] - b.min[i]);
+      // placeBlockAt takes the bottom as baseY + 1 (the editor's global offset). Parts spanning
+      // an even number of studs are centered on half studs, which exportBlocks() keeps.
+      const m = placeBlockAt(o.x + (b.min[0] + b.max[0]) / 2, o.y - 1 + b.min[1], o.z + (b.min[2] + b.max[2]) / 2,
+        size[0], size[1], size[2], materialOrColor, matName, { flags: placementFlags });
+      if(m) placed++;
+    }
+  });
+  updateJSON();
+  const result = { placed, skipped: boxes.length - placed };
+  window.dispatchEvent(new CustomEvent('shape:placed', { detail: result }));
+  return result;
+}
+
+function disposeShapePreview(){
+  for(const c of shapePreviewGroup.children) if(c.geometry) c.geometry.dispose();
+  shapePreviewGroup.clear();
+}
+
+export function cancelShape(){
+  if(!pendingShape && !shapePreviewGroup.children.length) return;
+  disposeShapePreview();
+  pendingShape = null;
+  notifyShapePreview();
+}
+
+export function hasPendingShape(){
+  return !!pendingShape;
+}
+// --- end shape generator preview ---
+
 // Raycaster & pointer
 const raycaster = new THREE.Raycaster();
 const pointer = new THREE.Vector2();
@@ -259,26 +517,37 @@ const pointer = new THREE.Vector2();
 // -- MATERIALS / TEXTURE LOADER --
 // mapping of material name -> { tex: Texture, mat: Material }
 const textureLoader = new THREE.TextureLoader();
+// material presets: name -> {
+//   map:             color texture path (null = color-only, like Plastic)
+//   roughness, metalness (defaults 0.7 / 0.05)
+//   normalMap:       texture path, or 'auto' to derive one from the color map's brightness
+//   normalScale:     strength of the normal map (default 1)
+//   roughnessMap:    texture path (green channel scales roughness)
+//   reflectivity:    when set, a MeshPhysicalMaterial is used (glossy dielectrics)
+//   envMapIntensity: strength of the environment reflection (default 0.3)
+//   transparency:    default Transparency (T) given to blocks placed with the material
+//   textureScale:    studs covered by one texture tile on every face (default GRID_UNIT)
+// }
 const MATERIALS_DEFS = {
-  "Brick": "/brick (2).png",
-  "Cobblestone": "/자갈 (2).png",
-  "Concrete": "/콘크리트 (2).png",
-  "DiamondPlate": "/다이아몬드플레이트.png",
-  "Fabric": "/fabric (2).png",
-  "Glass": "/유리.png",
-  "Granite": "/화강암 (2).png",
-  "Grass": "/grass.png",
-  "Ice": "/얼음 (2).png",
-  "Marble": "/대리석 (2).png",
-  "Metal": "/금속 (2).png",
-  "Pebble": "/조약돌 (2).png",
+  "Brick": { map: "/brick (2).png", roughness: 0.85, metalness: 0, normalMap: 'auto', normalScale: 0.8 },
+  "Cobblestone": { map: "/자갈 (2).png", roughness: 0.9, metalness: 0, normalMap: 'auto' },
+  "Concrete": { map: "/콘크리트 (2).png", roughness: 0.9, metalness: 0, normalMap: 'auto', normalScale: 0.3 },
+  "DiamondPlate": { map: "/다이아몬드플레이트.png", roughness: 0.35, metalness: 0.85, normalMap: 'auto', normalScale: 0.6, envMapIntensity: 1 },
+  "Fabric": { map: "/fabric (2).png", roughness: 1, metalness: 0, normalMap: 'auto', normalScale: 0.4 },
+  "Glass": { map: "/유리 (2).png", roughness: 0.05, metalness: 0, reflectivity: 0.9, envMapIntensity: 1, transparency: 0.4 },
+  "Granite": { map: "/화강암 (2).png", roughness: 0.55, metalness: 0.05, envMapIntensity: 0.5 },
+  "Grass": { map: "/grass.png", roughness: 0.95, metalness: 0 },
+  "Ice": { map: "/얼음 (2).png", roughness: 0.08, metalness: 0, reflectivity: 0.8, envMapIntensity: 1 },
+  "Marble": { map: "/대리석 (2).png", roughness: 0.2, metalness: 0, reflectivity: 0.6, envMapIntensity: 0.8 },
+  "Metal": { map: "/금속 (2).png", roughness: 0.3, metalness: 0.9, envMapIntensity: 1 },
+  "Pebble": { map: "/조약돌 (2).png", roughness: 0.8, metalness: 0, normalMap: 'auto' },
   // Plastic should be a "no-material" default (color-only) per user request
-  "Plastic": null,
-  "CorrodedMetal": "/녹슨철 (2).png",
-  "Sand": "/모래 (2).png",
-  "Slate": "/슬레이트 (2).png",
-  "Wood": "/wood (2).png",
-  "WoodPlanks": "/woodplank (2).png"
+  "Plastic": { map: null },
+  "CorrodedMetal": { map: "/녹슨철 (2).png", roughness: 0.75, metalness: 0.6, normalMap: 'auto', normalScale: 0.5, envMapIntensity: 0.8 },
+  "Sand": { map: "/모래 (2).png", roughness: 0.95, metalness: 0, normalMap: 'auto', normalScale: 0.3 },
+  "Slate": { map: "/슬레이트 (2).png", roughness: 0.7, metalness: 0, normalMap: 'auto', normalScale: 0.5 },
+  "Wood": { map: "/wood (2).png", roughness: 0.75, metalness: 0 },
+  "WoodPlanks": { map: "/woodplank (2).png", roughness: 0.7, metalness: 0, normalMap: 'auto', normalScale: 0.3 }
 };
 export const materials = {}; // populated below
 // currently selected override color (rgb array) — if set, tint materials when placing blocks
@@ -290,29 +559,204 @@ export function getCurrentColorOverride(){
   return currentColorOverride;
 }
 
-// load textures and create simple MeshStandardMaterial for each
-Object.keys(MATERIALS_DEFS).forEach(name=>{
-  const path = MATERIALS_DEFS[name];
-  let tex = null;
-  let mat = null;
-  if(path){
-    tex = textureLoader.load(path);
-    tex.wrapS = tex.wrapT = THREE.RepeatWrapping;
-    tex.repeat.set(1,1);
-    // default material: standard with some roughness; glass gets different settings
-    if(name === "Glass"){
-      mat = new THREE.MeshPhysicalMaterial({ map: tex, transparent: true, opacity: 0.6, roughness:0.05, metalness:0.0, clearcoat:0.1 });
-    } else {
-      mat = new THREE.MeshStandardMaterial({ map: tex, roughness:0.7, metalness:0.05 });
+// reflections for the preset materials (set per material, so color-only blocks keep their look)
+const pmrem = new THREE.PMREMGenerator(renderer);
+const envTexture = pmrem.fromScene(new RoomEnvironment(), 0.04).texture;
+pmrem.dispose();
+
+// the texture is returned right away (so materials can be cloned before it loads);
+// `ready` resolves with it once the image has loaded or failed
+function loadTexture(path){
+  let done;
+  const ready = new Promise(resolve => { done = resolve; });
+  const texture = textureLoader.load(path, () => done(texture), undefined, () => done(texture));
+  texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+  texture.repeat.set(1,1);
+  return { texture, ready };
+}
+
+// tangent-space normal map from the brightness of a color image (Sobel, wraps at the edges so it tiles)
+function deriveNormalMap(image){
+  const w = Math.min(256, image.width || 1), h = Math.min(256, image.height || 1);
+  const c = document.createElement('canvas');
+  c.width = w; c.height = h;
+  const ctx = c.getContext('2d');
+  ctx.drawImage(image, 0, 0, w, h);
+  const src = ctx.getImageData(0, 0, w, h).data;
+  const lum = new Float32Array(w * h);
+  for(let i=0;i<w*h;i++) lum[i] = (src[i*4] * 0.299 + src[i*4+1] * 0.587 + src[i*4+2] * 0.114) / 255;
+  const at = (x, y) => lum[((y + h) % h) * w + ((x + w) % w)];
+  const out = ctx.createImageData(w, h);
+  for(let y=0;y<h;y++){
+    for(let x=0;x<w;x++){
+      const dx = (at(x+1,y-1) + 2*at(x+1,y) + at(x+1,y+1)) - (at(x-1,y-1) + 2*at(x-1,y) + at(x-1,y+1));
+      const dy = (at(x-1,y+1) + 2*at(x,y+1) + at(x+1,y+1)) - (at(x-1,y-1) + 2*at(x,y-1) + at(x+1,y-1));
+      // canvas rows run down while texture v runs up, hence +dy
+      let nx = -dx * 2, ny = dy * 2, nz = 1;
+      const len = Math.hypot(nx, ny, nz);
+      nx /= len; ny /= len; nz /= len;
+      const o = (y * w + x) * 4;
+      out.data[o] = (nx * 0.5 + 0.5) * 255;
+      out.data[o+1] = (ny * 0.5 + 0.5) * 255;
+      out.data[o+2] = (nz * 0.5 + 0.5) * 255;
+      out.data[o+3] = 255;
     }
+  }
+  ctx.putImageData(out, 0, 0);
+  const tex = new THREE.CanvasTexture(c);
+  tex.wrapS = tex.wrapT = THREE.RepeatWrapping;
+  return tex;
+}
+
+// build the shared material for a preset. Returns { texture, material, name, transparency, ready }
+// where `ready` resolves once every texture (and a derived normal map) is in place.
+function buildMaterial(name, def){
+  if(!def || !def.map) return { texture: null, material: null, name, transparency: 0, ready: Promise.resolve() };
+  const clamp01 = (v, d) => (typeof v === 'number' && isFinite(v)) ? Math.max(0, Math.min(1, v)) : d;
+  const params = {
+    roughness: clamp01(def.roughness, 0.7),
+    metalness: clamp01(def.metalness, 0.05),
+    envMap: envTexture,
+    envMapIntensity: typeof def.envMapIntensity === 'number' ? def.envMapIntensity : 0.3
+  };
+  let mat;
+  if(typeof def.reflectivity === 'number'){
+    mat = new THREE.MeshPhysicalMaterial(Object.assign(params, { reflectivity: clamp01(def.reflectivity, 0.5) }));
   } else {
-    // No texture -> represent as color-only material (null here so editor uses color override)
-    tex = null;
-    mat = null;
+    mat = new THREE.MeshStandardMaterial(params);
+  }
+  const map = loadTexture(def.map);
+  mat.map = map.texture;
+  const jobs = [map.ready];
+  if(def.roughnessMap){
+    const rm = loadTexture(def.roughnessMap);
+    mat.roughnessMap = rm.texture;
+    jobs.push(rm.ready);
+  }
+  if(def.normalMap){
+    const k = typeof def.normalScale === 'number' ? def.normalScale : 1;
+    mat.normalScale = new THREE.Vector2(k, k);
+    if(def.normalMap === 'auto'){
+      jobs.push(map.ready.then(tex => {
+        if(!tex.image) return;
+        mat.normalMap = deriveNormalMap(tex.image);
+        mat.needsUpdate = true;
+        attachLateNormalMap(name);
+      }));
+    } else {
+      const nm = loadTexture(def.normalMap);
+      mat.normalMap = nm.texture;
+      jobs.push(nm.ready);
+    }
   }
-  materials[name] = { texture: tex, material: mat, name };
+  return {
+    texture: map.texture,
+    material: mat,
+    name,
+    transparency: clamp01(def.transparency, 0),
+    textureScale: def.textureScale > 0 ? def.textureScale : GRID_UNIT,
+    ready: Promise.all(jobs).then(() => {})
+  };
+}
+
+// blocks cloned from a material before its derived normal map existed (early placements,
+// builds loaded from a #b= link at startup, undo snapshots) get the map once it arrives
+function fillLateNormalMap(mesh){
+  const def = mesh.userData && mesh.userData.M ? materials[mesh.userData.M] : null;
+  const src = def && def.material;
+  if(!src || !src.normalMap || !mesh.material || mesh.material.normalMap) return false;
+  mesh.material.normalMap = src.normalMap;
+  if(mesh.material.normalScale) mesh.material.normalScale.copy(src.normalScale);
+  mesh.material.needsUpdate = true;
+  return true;
+}
+function attachLateNormalMap(name){
+  for(const m of blocksGroup.children){
+    if(m.userData && m.userData.M === name && fillLateNormalMap(m)) batcher.invalidate(m);
+  }
+}
+
+Object.keys(MATERIALS_DEFS).forEach(name=>{
+  materials[name] = buildMaterial(name, MATERIALS_DEFS[name]);
 });
 
+// user-added materials (texture image + defaults, persisted by the UI in materiallib.js).
+// def: { name, imageUrl, roughness, metalness, transparency, textureScale }. Built-in names cannot be replaced.
+export function registerCustomMaterial(def){
+  const name = def && typeof def.name === 'string' ? def.name.trim() : '';
+  if(!name || (materials[name] && !materials[name].custom)) return null;
+  if(materials[name]) unregisterCustomMaterial(name);
+  materials[name] = Object.assign(buildMaterial(name, {
+    map: def.imageUrl,
+    roughness: def.roughness,
+    metalness: def.metalness,
+    transparency: def.transparency,
+    textureScale: def.textureScale
+  }), { custom: true });
+  return materials[name];
+}
+
+// placed blocks keep their own material clones, so removing the definition leaves them as they are
+export function unregisterCustomMaterial(name){
+  const def = materials[name];
+  if(!def || !def.custom) return false;
+  delete materials[name];
+  if(selectedMaterialName === name) selectedMaterialName = null;
+  try{ def.material.dispose(); def.texture.dispose(); }catch(e){}
+  return true;
+}
+
+// panel thumbnail for a material, drawn with the same preset the blocks use.
+// resolves to a data URL, or null for color-only materials (Plastic)
+let thumbnailer = null;
+export async function materialThumbnail(name){
+  const def = materials[name];
+  if(!def || !def.material) return null;
+  await def.ready;
+  // the definition may have been replaced or removed while its textures loaded
+  if(materials[name] !== def) return null;
+  if(!thumbnailer) thumbnailer = createMaterialThumbnailer();
+  return thumbnailer.render(def.material, def.transparency);
+}
+
+// default Transparency a material gives to blocks it is placed or applied on
+function materialDefaultTransparency(name){
+  const def = name ? materials[name] : null;
+  return def && def.transparency > 0 ? def.transparency : 0;
+}
+
+// studs covered by one texture tile for a material (its textureScale, default GRID_UNIT)
+function textureScaleOf(name){
+  const def = name ? materials[name] : null;
+  return def && def.textureScale > 0 ? def.textureScale : GRID_UNIT;
+}
+
+// world-space uvs for a block (see texcoords.js); rerun whenever its position, size or material changes
+function applyBlockUVs(mesh){
+  if(!mesh.geometry) return;
+  const P = (mesh.userData && mesh.userData.P) || mesh.position.toArray();
+  writeBoxUVs(mesh.geometry, P, textureScaleOf(mesh.userData && mesh.userData.M));
+}
+
+export function getMaterialTextureScale(name){
+  return textureScaleOf(name);
+}
+
+// change how many studs one tile of a material covers and retile every block that uses it.
+// This is a material setting, not a block edit, so it is not recorded in the undo history.
+export function setMaterialTextureScale(name, studs){
+  const def = materials[name];
+  const v = Number(studs);
+  if(!def || !(v > 0)) return false;
+  def.textureScale = v;
+  for(const m of blocksGroup.children){
+    if(!m.userData || m.userData.M !== name) continue;
+    applyBlockUVs(m);
+    batcher.invalidate(m);
+  }
+  return true;
+}
+
 // Utility helpers
 // export function snap(v){
 //   const unit = GRID_UNIT;
@@ -342,9 +786,70 @@ export function rgbToHex(rgb){
   return '#' + [r,g,b].map(v=>v.toString(16).padStart(2,'0')).join('').toUpperCase();
 }
 
+// --- Overlap rejection ---
+// placement refuses boxes that would intersect an existing block unless overlap is allowed
+let allowOverlap = false;
+export function setAllowOverlap(on){
+  allowOverlap = !!on;
+}
+export function getAllowOverlap(){
+  return allowOverlap;
+}
+
+// short red flash where a placement was rejected (faded out in animate)
+const REJECT_MAT = new THREE.MeshBasicMaterial({ color: 0xff3b30, transparent: true, opacity: 0.5, depthWrite: false });
+const REJECT_FLASH_MS = 450;
+const rejectFlashes = [];
+function flashRejected(center, sx, sy, sz){
+  const box = new THREE.Mesh(new THREE.BoxGeometry(sx + 0.04, sy + 0.04, sz + 0.04), REJECT_MAT.clone());
+  box.position.copy(center);
+  box.renderOrder = 998;
+  scene.add(box);
+  rejectFlashes.push({ mesh: box, start: performance.now() });
+}
+function updateRejectFlashes(now){
+  for(let i=rejectFlashes.length-1;i>=0;i--){
+    const f = rejectFlashes[i];
+    const t = (now - f.start) / REJECT_FLASH_MS;
+    if(t >= 1){
+      scene.remove(f.mesh);
+      f.mesh.geometry.dispose();
+      f.mesh.material.dispose();
+      rejectFlashes.splice(i, 1);
+    } else {
+      f.mesh.material.opacity = 0.5 * (1 - t);
+    }
+  }
+}
+
+// number of distinct block pairs whose boxes intersect (rotated blocks use their bounding box)
+export function countOverlappingPairs(meshes){
+  const list = Array.from(meshes || blocksGroup.children).filter(m => m && m.parent === blocksGroup);
+  const pairs = new Set();
+  for(const m of list){
+    for(const other of occupancy.query(blockWorldBox(m), m)){
+      const a = m.userData.uid, b = other.userData.uid;
+      pairs.add(a < b ? a + ':' + b : b + ':' + a);
+    }
+  }
+  return pairs.size;
+}
+// --- end overlap rejection ---
+
 // Place block and bookkeeping
-// updated: materialOrColor may be either a THREE.Material instance or an rgb array
-export function placeBlockAt(px, py, pz, sx, sy, sz, materialOrColor, matName){
+// updated: materialOrColor may be either a THREE.Material instance or an rgb array.
+// Returns null (and flashes the spot) when the box would overlap an existing block;
+// pass opts.allowOverlap to skip that check (e.g. JSON import, which reports overlaps instead).
+export function placeBlockAt(px, py, pz, sx, sy, sz, materialOrColor, matName, opts){
+  if(!allowOverlap && !(opts && opts.allowOverlap)){
+    const center = new THREE.Vector3(px, (py + 1) + sy / 2, pz);
+    const half = new THREE.Vector3(sx / 2, sy / 2, sz / 2);
+    const target = new THREE.Box3(center.clone().sub(half), center.clone().add(half));
+    if(!occupancy.isEmpty(target)){
+      flashRejected(center, sx, sy, sz);
+      return null;
+    }
+  }
   const geom = new THREE.BoxGeometry(sx, sy, sz);
   let mat;
   let blockColorRgb = null; // Track color for userData.C
@@ -364,15 +869,6 @@ export function placeBlockAt(px, py, pz, sx, sy, sz, materialOrColor, matName){
         mat.emissiveIntensity = 0.25;
       } catch(e){}
     }
-    // ensure texture repeats to fit block faces more nicely
-    if(mat.map){
-      const repeatX = Math.max(1, Math.round(sx / GRID_UNIT));
-      const repeatY = Math.max(1, Math.round(sz / GRID_UNIT));
-      mat.map = mat.map.clone();
-      mat.map.repeat.set(repeatX, repeatY);
-      mat.map.wrapS = mat.map.wrapT = THREE.RepeatWrapping;
-      mat.needsUpdate = true;
-    }
   }else if(Array.isArray(materialOrColor)){
     blockColorRgb = materialOrColor; // Capture the plain color
     const col = new THREE.Color(materialOrColor[0], materialOrColor[1], materialOrColor[2]);
@@ -414,18 +910,18 @@ export function placeBlockAt(px, py, pz, sx, sy, sz, materialOrColor, matName){
     M: matName || (materialOrColor && materialOrColor.name) || null
   };
   m.castShadow = true;
-
-  // apply any previously-stored transparency flag if present in userData (newly placed blocks won't have it)
-  if(typeof m.userData.T === 'number' && m.userData.T >= 0){
-    // if material supports transparency, set it
-    try{
-      if(m.material){
-        m.material.transparent = m.userData.T < 1.0;
-        m.material.opacity = Math.max(0, Math.min(1, Number(m.userData.T)));
-        m.material.needsUpdate = true;
-      }
-    }catch(e){}
+  // texture tiles follow world-space studs on every face
+  applyBlockUVs(m);
+
+  // new blocks take the material's default transparency; imports and clones pass
+  // opts.materialDefaults = false and set T from their source instead
+  if(!(opts && opts.materialDefaults === false)){
+    const T = materialDefaultTransparency(m.userData.M);
+    if(T > 0) m.userData.T = T;
   }
+  // opts.flags: { A, K, E, T } copied onto the new block (T overrides the material default)
+  if(opts && opts.flags) applyFlagsTo(m.userData, opts.flags);
+  reapplyTransparency(m);
 
   // Placement animation: start smaller and slightly lower, then ease to final scale/position.
   // We store animation meta-data in userData so animate() can tween it each frame.
@@ -446,21 +942,1060 @@ export function placeBlockAt(px, py, pz, sx, sy, sz, materialOrColor, matName){
   m.scale.set(s0, s0, s0);
   m.position.y = centerY + m.userData._placeAnim.fromYOffset;
 
-  blocksGroup.add(m);
+  runCommand('블록 설치', ()=>{
+    addBlockMesh(m);
+    history.touch(m.userData.uid, null);
+  });
   updateJSON();
   if(selectedMesh) updateHandlesPosition();
   return m;
 }
 
+// --- Block bookkeeping & undo/redo history ---
+// every block gets a stable uid so history entries survive meshes being recreated
+let blockUidSeq = 0;
+const blocksByUid = new Map();
+
+// grid-keyed index of block boxes; every add/remove/transform of a block keeps it in sync
+const occupancy = createOccupancy({ cellSize: GRID_UNIT, boxOf: (m) => blockWorldBox(m) });
+
+// merged-buffer rendering; block meshes stay as the (hidden) pick/edit model.
+// Blocks that are animating in or being dragged are drawn on their own until they settle.
+const batcher = createBlockBatcher({
+  parent: scene,
+  chunkSize: GRID_UNIT * 16,
+  isBatchable: (m) => !m.userData._placeAnim && !m.userData._dragging
+});
+
+// a block's position/size/rotation changed outside of add/remove
+function blockChanged(mesh){
+  applyBlockUVs(mesh);
+  occupancy.update(mesh);
+  batcher.invalidate(mesh);
+}
+
+// blocks whose world box overlaps `box` (touching faces don't count); exclude = mesh or Set
+export function blocksInBox(box, exclude){
+  return occupancy.query(box, exclude);
+}
+
+function addBlockMesh(mesh){
+  if(mesh.userData.uid == null) mesh.userData.uid = ++blockUidSeq;
+  blocksByUid.set(mesh.userData.uid, mesh);
+  blocksGroup.add(mesh);
+  occupancy.add(mesh);
+  batcher.invalidate(mesh);
+}
+
+function disposeBlockMesh(mesh){
+  blocksGroup.remove(mesh);
+  occupancy.remove(mesh);
+  batcher.invalidate(mesh);
+  if(mesh.userData && blocksByUid.get(mesh.userData.uid) === mesh) blocksByUid.delete(mesh.userData.uid);
+  if(mesh.geometry) mesh.geometry.dispose();
+  if(mesh.material) try{ mesh.material.dispose && mesh.material.dispose(); }catch(e){}
+}
+
+// copy persistent userData (keys starting with "_" are transient editor state)
+function cloneBlockData(ud){
+  const out = {};
+  for(const k of Object.keys(ud || {})){
+    if(k.charAt(0) === '_') continue;
+    const v = ud[k];
+    out[k] = Array.isArray(v) ? v.slice() : v;
+  }
+  return out;
+}
+
+function snapshotBlock(mesh){
+  const material = mesh.material.clone();
+  return {
+    userData: cloneBlockData(mesh.userData),
+    geometry: mesh.geometry.clone(),
+    material,
+    quaternion: mesh.quaternion.clone()
+  };
+}
+
+function restoreBlock(uid, snap){
+  const existing = blocksByUid.get(uid);
+  if(existing) disposeBlockMesh(existing);
+  if(!snap) return;
+  const m = new THREE.Mesh(snap.geometry.clone(), snap.material.clone());
+  m.userData = cloneBlockData(snap.userData);
+  if(m.userData.P) m.position.fromArray(m.userData.P);
+  m.quaternion.copy(snap.quaternion);
+  m.castShadow = true;
+  // the material's texture scale may have changed since the snapshot
+  applyBlockUVs(m);
+  fillLateNormalMap(m);
+  addBlockMesh(m);
+}
+
+const history = createHistory({
+  limit: 200,
+  snapshot: snapshotBlock,
+  restore: restoreBlock,
+  find: (uid) => blocksByUid.get(uid) || null,
+  onApply: ()=>{
+    // selected meshes may have been replaced by restored copies
+    pruneSelection();
+    removeGrowHandles();
+    clearPaintMarkers();
+    updateJSON();
+  },
+  // material/color edits don't go through add/remove; redraw every block a command touched
+  onCommit: (cmd)=>{
+    for(const e of cmd.entries){
+      const mesh = blocksByUid.get(e.uid);
+      if(mesh) batcher.invalidate(mesh);
+    }
+  },
+  onChange: (state)=> window.dispatchEvent(new CustomEvent('history:change', { detail: state }))
+});
+
+// run fn as a single undoable step. Nested calls fold into the outermost command,
+// and the JSON export is refreshed once when the outermost command finishes.
+let jsonDirty = false;
+export function runCommand(label, fn){
+  history.begin(label);
+  try{
+    return fn();
+  } finally {
+    history.commit();
+    if(!history.isRecording() && jsonDirty) updateJSON();
+  }
+}
+
+// record a block's current state before changing it inside runCommand
+export function recordBlock(mesh){
+  if(mesh && mesh.userData) history.touch(mesh.userData.uid, mesh);
+}
+
+export function undo(){ return history.undo(); }
+export function redo(){ return history.redo(); }
+export function getHistoryState(){ return history.state(); }
+
+// remove a single block (undoable) and clean up selection/handles/markers
+export function removeBlock(mesh){
+  removeBlocks([mesh]);
+}
+
+// remove several blocks as one undoable step
+export function removeBlocks(meshes){
+  const list = Array.from(meshes || []).filter(m => m && m.parent === blocksGroup);
+  if(!list.length) return;
+  runCommand('블록 삭제', ()=>{
+    for(const mesh of list){
+      recordBlock(mesh);
+      disposeBlockMesh(mesh);
+    }
+    removeGrowHandles();
+  });
+  pruneSelection();
+  // clear any lingering paint markers so blue dots don't remain
+  try{ clearPaintMarkers(); }catch(e){}
+  updateJSON();
+  window.dispatchEvent(new CustomEvent('block:deleted', { detail: { } }));
+}
+
+// remove every block (undoable as one step)
+export function clearBlocks(){
+  runCommand('모두 삭제', ()=>{
+    while(blocksGroup.children.length){
+      const c = blocksGroup.children[0];
+      recordBlock(c);
+      disposeBlockMesh(c);
+    }
+  });
+  clearSelection();
+  removeGrowHandles();
+  try{ clearPaintMarkers(); }catch(e){}
+  updateJSON();
+}
+// --- end history ---
+
+// --- Selection set & highlight ---
+// every selected block gets the same edge outline; block materials are never touched
+const selectionGroup = new THREE.Group(); selectionGroup.name = "SelectionOutlines"; scene.add(selectionGroup);
+const SELECTION_LINE_MAT = new THREE.LineBasicMaterial({ color: 0x3399ff, transparent: true, opacity: 0.95 });
+const PRIMARY_LINE_MAT = new THREE.LineBasicMaterial({ color: 0x8fd3ff, transparent: true, opacity: 1.0 });
+
+export function getSelectedMeshes(){
+  return Array.from(selection);
+}
+
+function notifySelectionChange(){
+  window.dispatchEvent(new CustomEvent('selection:change', { detail: { count: selection.size } }));
+}
+
+// rebuild outline helpers from the current selection
+export function refreshSelectionHighlight(){
+  while(selectionGroup.children.length){
+    const c = selectionGroup.children[0];
+    selectionGroup.remove(c);
+    if(c.geometry) c.geometry.dispose();
+  }
+  for(const mesh of selection){
+    const edges = new THREE.LineSegments(new THREE.EdgesGeometry(mesh.geometry), mesh === selectedMesh ? PRIMARY_LINE_MAT : SELECTION_LINE_MAT);
+    edges.userData.target = mesh;
+    edges.renderOrder = 998;
+    selectionGroup.add(edges);
+  }
+  syncSelectionHighlight();
+}
+
+// keep outlines glued to their blocks (placement animation, moves)
+function syncSelectionHighlight(){
+  for(const edges of selectionGroup.children){
+    const m = edges.userData.target;
+    edges.position.copy(m.position);
+    edges.quaternion.copy(m.quaternion);
+    // grow slightly so the outline does not z-fight with the block faces
+    edges.scale.copy(m.scale).multiplyScalar(1.01);
+  }
+}
+
+// replace the selection; primary defaults to the last mesh in the list
+export function setSelection(meshes, primary){
+  selection.clear();
+  for(const m of meshes || []){
+    if(m && m.parent === blocksGroup) selection.add(m);
+  }
+  const list = Array.from(selection);
+  selectedMesh = (primary && selection.has(primary)) ? primary : (list.length ? list[list.length - 1] : null);
+  refreshSelectionHighlight();
+  notifySelectionChange();
+}
+
+export function addToSelection(mesh){
+  if(!mesh || mesh.parent !== blocksGroup) return;
+  selection.add(mesh);
+  selectedMesh = mesh;
+  refreshSelectionHighlight();
+  notifySelectionChange();
+}
+
+export function toggleSelection(mesh){
+  if(!mesh || mesh.parent !== blocksGroup) return;
+  if(selection.has(mesh)){
+    selection.delete(mesh);
+    if(selectedMesh === mesh){
+      const list = Array.from(selection);
+      selectedMesh = list.length ? list[list.length - 1] : null;
+    }
+  } else {
+    selection.add(mesh);
+    selectedMesh = mesh;
+  }
+  refreshSelectionHighlight();
+  notifySelectionChange();
+}
+
+export function clearSelection(){
+  if(!selection.size && !selectedMesh) return;
+  selection.clear();
+  selectedMesh = null;
+  refreshSelectionHighlight();
+  notifySelectionChange();
+}
+
+// drop meshes that are no longer part of the scene (deleted or replaced by undo)
+function pruneSelection(){
+  const kept = Array.from(selection).filter(m => m.parent === blocksGroup);
+  const primary = (selectedMesh && selectedMesh.parent === blocksGroup) ? selectedMesh : null;
+  if(kept.length === selection.size && primary === selectedMesh) return;
+  setSelection(kept, primary);
+}
+
+// --- Marquee (box) selection in screen space ---
+let marquee = null;
+
+function startMarquee(ev){
+  const el = document.createElement('div');
+  el.id = 'selectionMarquee';
+  document.body.appendChild(el);
+  marquee = {
+    x0: ev.clientX, y0: ev.clientY, x1: ev.clientX, y1: ev.clientY,
+    // Ctrl/Cmd toggles covered blocks, Shift adds them
+    mode: (ev.ctrlKey || ev.metaKey) ? 'toggle' : 'add',
+    el
+  };
+  controls.enableRotate = false;
+  controls.enablePan = false;
+  updateMarquee(ev);
+}
+
+function updateMarquee(ev){
+  marquee.x1 = ev.clientX;
+  marquee.y1 = ev.clientY;
+  const left = Math.min(marquee.x0, marquee.x1), top = Math.min(marquee.y0, marquee.y1);
+  marquee.el.style.left = left + 'px';
+  marquee.el.style.top = top + 'px';
+  marquee.el.style.width = Math.abs(marquee.x1 - marquee.x0) + 'px';
+  marquee.el.style.height = Math.abs(marquee.y1 - marquee.y0) + 'px';
+}
+
+function finishMarquee(ev){
+  updateMarquee(ev);
+  const m = marquee;
+  marquee = null;
+  if(m.el.parentNode) m.el.parentNode.removeChild(m.el);
+  controls.enableRotate = true;
+  controls.enablePan = true;
+
+  const left = Math.min(m.x0, m.x1), right = Math.max(m.x0, m.x1);
+  const top = Math.min(m.y0, m.y1), bottom = Math.max(m.y0, m.y1);
+  // ignore plain clicks (no real drag)
+  if(right - left < 4 && bottom - top < 4) return;
+
+  // a block is covered when its projected center lies inside the rectangle
+  const rect = canvas.getBoundingClientRect();
+  const v = new THREE.Vector3();
+  const hits = [];
+  for(const mesh of blocksGroup.children){
+    v.copy(mesh.position).project(camera);
+    if(v.z < -1 || v.z > 1) continue; // behind the camera / outside the frustum depth
+    const sx = rect.left + (v.x + 1) / 2 * rect.width;
+    const sy = rect.top + (1 - v.y) / 2 * rect.height;
+    if(sx >= left && sx <= right && sy >= top && sy <= bottom) hits.push(mesh);
+  }
+  if(!hits.length) return;
+  const next = new Set(selection);
+  for(const mesh of hits){
+    if(m.mode === 'toggle' && next.has(mesh)) next.delete(mesh);
+    else next.add(mesh);
+  }
+  removeGrowHandles();
+  setSelection(Array.from(next));
+}
+
+// --- Move tool: axis arrows on the selection, drag moves blocks in snap()-aligned steps ---
+const MOVE_AXES = {
+  x: { dir: new THREE.Vector3(1,0,0), color: 0xff5a5a, index: 0 },
+  y: { dir: new THREE.Vector3(0,1,0), color: 0x5ad66a, index: 1 },
+  z: { dir: new THREE.Vector3(0,0,1), color: 0x4d8cff, index: 2 }
+};
+const moveGizmo = new THREE.Group(); moveGizmo.name = "MoveGizmo"; moveGizmo.visible = false; scene.add(moveGizmo);
+(function buildMoveGizmo(){
+  for(const axis of Object.keys(MOVE_AXES)){
+    const def = MOVE_AXES[axis];
+    const mat = new THREE.MeshBasicMaterial({ color: def.color, depthTest: false, transparent: true, opacity: 0.95 });
+    const arrow = new THREE.Group();
+    // shaft is thicker than it looks necessary so it is easy to grab
+    const shaft = new THREE.Mesh(new THREE.CylinderGeometry(0.07, 0.07, 1.6, 10), mat);
+    shaft.position.y = 0.8;
+    const head = new THREE.Mesh(new THREE.ConeGeometry(0.2, 0.5, 14), mat);
+    head.position.y = 1.85;
+    arrow.add(shaft, head);
+    shaft.renderOrder = head.renderOrder = 1000;
+    // geometry is built along +Y; turn it onto its axis
+    if(axis === 'x') arrow.rotation.z = -Math.PI / 2;
+    if(axis === 'z') arrow.rotation.x = Math.PI / 2;
+    arrow.userData.moveAxis = axis;
+    moveGizmo.add(arrow);
+  }
+})();
+
+let activeMove = null;
+
+// center of the selection's bounding box
+function selectionCenter(){
+  const box = new THREE.Box3();
+  for(const m of selection) box.union(blockWorldBox(m));
+  return box.getCenter(new THREE.Vector3());
+}
+
+function updateMoveGizmo(){
+  const show = toolMode === 'move' && selection.size > 0;
+  moveGizmo.visible = show;
+  if(!show) return;
+  moveGizmo.position.copy(selectionCenter());
+  // keep arrows roughly the same size on screen
+  const dist = camera.position.distanceTo(moveGizmo.position);
+  moveGizmo.scale.setScalar(Math.max(0.5, dist * 0.06));
+}
+
+// parameter along the drag axis closest to the current pointer ray
+function axisParamFromPointer(origin, dir){
+  const r = raycaster.ray;
+  const w0 = new THREE.Vector3().subVectors(origin, r.origin);
+  const b = dir.dot(r.direction);
+  const denom = 1 - b * b;
+  // looking straight down the axis: no stable solution
+  if(Math.abs(denom) < 1e-4) return null;
+  return (b * r.direction.dot(w0) - dir.dot(w0)) / denom;
+}
+
+function startMoveDrag(axis){
+  if(!selection.size || !MOVE_AXES[axis]) return false;
+  const def = MOVE_AXES[axis];
+  const origin = selectionCenter();
+  const t0 = axisParamFromPointer(origin, def.dir);
+  if(t0 === null) return false;
+  const blocks = Array.from(selection).filter(m => m.userData && m.userData.P);
+  // step by the smallest block size along this axis so every block stays on its own grid
+  let step = Infinity;
+  let minBase = Infinity;
+  for(const m of blocks){
+    const S = m.userData.S || [GRID_UNIT, GRID_UNIT, GRID_UNIT];
+    step = Math.min(step, Math.max(1, Math.round(S[def.index])));
+    minBase = Math.min(minBase, blockWorldBox(m).min.y);
+  }
+  activeMove = {
+    axis, def, origin, t0,
+    step: isFinite(step) ? step : GRID_UNIT,
+    // lowest block bottom, so a Y drag never sinks the selection below the grid
+    minBase,
+    delta: 0,
+    blocks: blocks.map(m => ({ mesh: m, startP: m.userData.P.slice(0,3) }))
+  };
+  // dragged blocks render individually so each step doesn't rebuild their batches
+  setDragging(blocks, true);
+  controls.enableRotate = false;
+  controls.enablePan = false;
+  return true;
+}
+
+function applyMoveDelta(delta){
+  const idx = activeMove.def.index;
+  for(const b of activeMove.blocks){
+    const P = b.startP.slice(0,3);
+    P[idx] = b.startP[idx] + delta;
+    b.mesh.userData.P = P;
+    b.mesh.position.set(P[0], P[1], P[2]);
+    blockChanged(b.mesh);
+  }
+  activeMove.delta = delta;
+}
+
+function updateMoveDrag(ev){
+  const rect = canvas.getBoundingClientRect();
+  pointer.x = ((ev.clientX - rect.left) / rect.width) * 2 - 1;
+  pointer.y = -((ev.clientY - rect.top) / rect.height) * 2 + 1;
+  raycaster.setFromCamera(pointer, camera);
+  const t = axisParamFromPointer(activeMove.origin, activeMove.def.dir);
+  if(t === null) return;
+  let delta = snap(t - activeMove.t0, activeMove.step);
+  if(activeMove.axis === 'y'){
+    // the editor ground sits at y = 1; never push blocks through it
+    const floor = 1 - activeMove.minBase;
+    if(delta < floor) delta = Math.ceil(floor / activeMove.step) * activeMove.step;
+  }
+  if(delta !== activeMove.delta) applyMoveDelta(delta);
+}
+
+function setDragging(meshes, on){
+  for(const m of meshes){
+    if(on) m.userData._dragging = true; else delete m.userData._dragging;
+    batcher.invalidate(m);
+  }
+}
+
+function finishMoveDrag(){
+  const move = activeMove;
+  const delta = move.delta;
+  // put blocks back first so the history records their original positions
+  applyMoveDelta(0);
+  setDragging(move.blocks.map(b => b.mesh), false);
+  activeMove = null;
+  controls.enableRotate = true;
+  controls.enablePan = true;
+  if(delta === 0) return;
+  runCommand('블록 이동', ()=>{
+    for(const b of move.blocks) recordBlock(b.mesh);
+    activeMove = move;
+    applyMoveDelta(delta);
+    activeMove = null;
+  });
+  removeGrowHandles();
+  updateJSON();
+}
+
+function cancelMoveDrag(){
+  if(!activeMove) return;
+  applyMoveDelta(0);
+  setDragging(activeMove.blocks.map(b => b.mesh), false);
+  activeMove = null;
+  controls.enableRotate = true;
+  controls.enablePan = true;
+}
+// --- end move tool ---
+
+// --- Grow handles: clone copies along an axis, or stretch the block itself ---
+// 'clone' repeats the block along the dragged axis; 'stretch' resizes it in whole units
+let rescaleVariant = 'clone';
+export function setRescaleVariant(v){
+  rescaleVariant = (v === 'stretch') ? 'stretch' : 'clone';
+}
+export function getRescaleVariant(){
+  return rescaleVariant;
+}
+
+// start dragging the grow handle that was hit (returns false when nothing to drag)
+function beginGrowDrag(hit){
+  const ud = hit && hit.object.userData && hit.object.userData.handle;
+  if(!ud || !selectedMesh) return false;
+  const def = growHandleDefs(selectedMesh).find(d => d.axis === ud.axis && d.dir === ud.dir);
+  if(!def) return false;
+  const startCenter = selectedMesh.userData.P ? new THREE.Vector3().fromArray(selectedMesh.userData.P) : selectedMesh.position.clone();
+  const t0 = axisParamFromPointer(startCenter, def.worldDir);
+  if(t0 === null) return false;
+  isDraggingGrow = true;
+  activeGrow = {
+    axis: ud.axis,
+    dir: ud.dir,
+    index: def.index,
+    worldDir: def.worldDir,
+    variant: rescaleVariant,
+    mesh: selectedMesh,
+    startCenter,
+    startS: (selectedMesh.userData.S || [GRID_UNIT, GRID_UNIT, GRID_UNIT]).slice(0,3),
+    t0,
+    newLength: null
+  };
+  controls.enableRotate = false;
+  controls.enablePan = false;
+  return true;
+}
+
+// size/center for a stretch by `delta` world units (or to an explicit length)
+function stretchTarget(grow, delta, length){
+  const start = grow.startS[grow.index];
+  let len = (typeof length === 'number') ? length : Math.max(1, start + Math.round(delta));
+  // never stretch down through the ground (editor ground sits at y = 1)
+  if(grow.worldDir.y < -0.99){
+    const bottom = grow.startCenter.y - start / 2;
+    len = Math.min(len, start + Math.max(0, Math.floor(bottom - 1)));
+  }
+  const S = grow.startS.slice(0,3);
+  S[grow.index] = len;
+  // shift the center by half the growth so the opposite face stays where it was
+  const center = grow.startCenter.clone().add(grow.worldDir.clone().multiplyScalar((len - start) / 2));
+  return { length: len, S, center };
+}
+
+function clearGrowPreview(){
+  while(previewGroup.children.length) {
+    const c = previewGroup.children[0];
+    previewGroup.remove(c);
+    if(c.geometry) c.geometry.dispose();
+    if(c.material) c.material.dispose && c.material.dispose();
+  }
+}
+
+// change a block's size and center in place (no history; callers wrap in runCommand)
+export function resizeBlock(mesh, S, center){
+  const size = S.slice(0,3).map(v => Math.max(1, Math.round(v)));
+  mesh.userData.S = size;
+  mesh.userData.P = [center.x, center.y, center.z];
+  if(mesh.geometry) mesh.geometry.dispose();
+  mesh.geometry = new THREE.BoxGeometry(size[0], size[1], size[2]);
+  mesh.position.copy(center);
+  blockChanged(mesh);
+  if(selection.has(mesh)) refreshSelectionHighlight();
+}
+
+// place a copy of `source` (size, material, color, flags, rotation) centered at `center`.
+// opts.size overrides the copied size; opts.allowOverlap skips the overlap check.
+export function cloneBlockAt(source, center, opts){
+  const ud = source.userData || {};
+  const S = ((opts && opts.size) || ud.S || [GRID_UNIT, GRID_UNIT, GRID_UNIT]).slice(0,3);
+  let materialOrColor;
+  if(ud.M && materials[ud.M] && materials[ud.M].material){
+    materialOrColor = materials[ud.M].material;
+  } else {
+    materialOrColor = ud.C || [0.95,0.95,0.95];
+  }
+  // Temporarily set currentColorOverride to the block's color tint (if texture)
+  // or to the solid color (if solid color) so placeBlockAt uses it.
+  const originalOverride = currentColorOverride;
+  if(ud.C) setCurrentColorOverride(ud.C);
+  else if(ud.M) setCurrentColorOverride(null);
+  let m;
+  try{
+    // placeBlockAt takes the base Y and adds the editor's +1 offset itself
+    m = placeBlockAt(center.x, center.y - S[1] / 2 - 1, center.z, S[0], S[1], S[2], materialOrColor, ud.M || null, Object.assign({}, opts, { materialDefaults: false }));
+  } finally {
+    setCurrentColorOverride(originalOverride);
+  }
+  if(!m) return null;
+  runCommand('블록 복제', ()=>{
+    if(ud.E === true) m.userData.E = true;
+    if(typeof ud.T === 'number') m.userData.T = ud.T;
+    if(ud.K === false) m.userData.K = false;
+    if(ud.A === false) m.userData.A = false;
+    reapplyTransparency(m);
+    if(ud.R) setBlockRotation(m, ud.R);
+  });
+  return m;
+}
+// --- end grow handles ---
+
+// --- Part-count optimizer ---
+// properties that must match for two blocks to become one part
+function mergeKey(ud){
+  return JSON.stringify([ud.M || null, ud.C || null, ud.T || 0, ud.K !== false, ud.A !== false, ud.E === true]);
+}
+
+// { min, max } of a box as exportBlocks() writes it: center through exportPos, whole-stud size
+function exportedBox(b){
+  const min = [], max = [];
+  for(let i=0;i<3;i++){
+    const c = exportPos((b.min[i] + b.max[i]) / 2, false), h = Math.round(b.max[i] - b.min[i]) / 2;
+    min.push(c - h);
+    max.push(c + h);
+  }
+  return { min, max };
+}
+
+// merge touching identical blocks into larger boxes (one undoable step).
+// Rotated blocks are left as they are. Returns { before, after } part counts.
+export function optimizeBlocks(){
+  const before = blocksGroup.children.length;
+  const boxes = [];
+  const sourceBoxes = new Map();
+  for(const m of blocksGroup.children){
+    const ud = m.userData || {};
+    if(!ud.P || !ud.S || hasRotation(ud.R)) continue;
+    const box = blockWorldBox(m);
+    const b = { min: box.min.toArray(), max: box.max.toArray(), key: mergeKey(ud), ref: m };
+    boxes.push(b);
+    sourceBoxes.set(m, b);
+  }
+  const merged = mergeBoxes(boxes).filter(b => b.sources.length > 1);
+  // by construction each merged box is exactly its sources' union; refuse to touch the scene
+  // otherwise. The parts are checked again as the JSON export writes them, so jsonOut covers
+  // the same volume as well.
+  const written = merged.map(b => Object.assign(exportedBox(b), { sources: b.sources }));
+  if(!merged.length || !verifyMerge(merged, sourceBoxes) || !verifyMerge(written, sourceBoxes)) return { before, after: before };
+  runCommand('블록 최적화', ()=>{
+    removeBlocks(merged.flatMap(b => b.sources));
+    for(const b of merged){
+      const size = [0,1,2].map(i => Math.round(b.max[i] - b.min[i]));
+      const center = new THREE.Vector3(
+        (b.min[0] + b.max[0]) / 2, (b.min[1] + b.max[1]) / 2, (b.min[2] + b.max[2]) / 2
+      );
+      // the removed sources still carry the properties to copy
+      cloneBlockAt(b.sources[0], center, { size, allowOverlap: true });
+    }
+  });
+  updateJSON();
+  return { before, after: blocksGroup.children.length };
+}
+// --- end optimizer ---
+
+// --- Block rotation (userData.R = Euler XYZ in degrees) ---
+const DEG = Math.PI / 180;
+
+function hasRotation(R){
+  return Array.isArray(R) && R.some(v => Math.abs(Number(v) || 0) > 1e-6);
+}
+
+// wrap to (-180, 180] and round; values within 1e-3 of a whole degree snap to it
+function normalizeAngle(deg){
+  let d = ((Number(deg) || 0) % 360 + 360) % 360;
+  if(d > 180) d -= 360;
+  const whole = Math.round(d);
+  if(Math.abs(d - whole) < 1e-3) d = whole;
+  if(d === -180) d = 180;
+  return Math.round(d * 1000) / 1000;
+}
+
+// axis-aligned world bounds of a block, honoring its size and rotation
+export function blockWorldBox(mesh, target){
+  const box = target || new THREE.Box3();
+  const ud = mesh.userData || {};
+  const S = ud.S || [GRID_UNIT, GRID_UNIT, GRID_UNIT];
+  const c = ud.P ? new THREE.Vector3().fromArray(ud.P) : mesh.position.clone();
+  let hx = S[0] / 2, hy = S[1] / 2, hz = S[2] / 2;
+  if(hasRotation(ud.R)){
+    const e = new THREE.Matrix4().makeRotationFromEuler(new THREE.Euler(ud.R[0] * DEG, ud.R[1] * DEG, ud.R[2] * DEG, 'XYZ')).elements;
+    const ex = Math.abs(e[0]) * hx + Math.abs(e[4]) * hy + Math.abs(e[8]) * hz;
+    const ey = Math.abs(e[1]) * hx + Math.abs(e[5]) * hy + Math.abs(e[9]) * hz;
+    const ez = Math.abs(e[2]) * hx + Math.abs(e[6]) * hy + Math.abs(e[10]) * hz;
+    hx = ex; hy = ey; hz = ez;
+  }
+  box.min.set(c.x - hx, c.y - hy, c.z - hz);
+  box.max.set(c.x + hx, c.y + hy, c.z + hz);
+  return box;
+}
+
+// set a block's orientation from Euler degrees (no history; callers wrap in runCommand)
+export function setBlockRotation(mesh, R){
+  if(!mesh) return;
+  const r = Array.isArray(R) ? R.slice(0,3).map(normalizeAngle) : [0,0,0];
+  if(hasRotation(r)) mesh.userData.R = r; else delete mesh.userData.R;
+  mesh.rotation.set(r[0] * DEG, r[1] * DEG, r[2] * DEG, 'XYZ');
+  blockChanged(mesh);
+}
+
+// rotate blocks about their own centers by deg around a world axis ('x' | 'y' | 'z')
+export function rotateBlocks(meshes, axis, deg){
+  const list = Array.from(meshes || []).filter(m => m && m.parent === blocksGroup);
+  const axisVec = MOVE_AXES[axis] && MOVE_AXES[axis].dir;
+  if(!list.length || !axisVec || !deg) return;
+  const turn = new THREE.Quaternion().setFromAxisAngle(axisVec, deg * DEG);
+  runCommand('블록 회전', ()=>{
+    for(const m of list){
+      recordBlock(m);
+      const q = new THREE.Quaternion().setFromEuler(m.rotation);
+      q.premultiply(turn);
+      const e = new THREE.Euler().setFromQuaternion(q, 'XYZ');
+      setBlockRotation(m, [e.x / DEG, e.y / DEG, e.z / DEG]);
+    }
+  });
+  updateJSON();
+}
+
+// set an absolute orientation on blocks (one undoable step)
+export function setBlocksRotation(meshes, R){
+  const list = Array.from(meshes || []).filter(m => m && m.parent === blocksGroup);
+  if(!list.length) return;
+  runCommand('블록 회전', ()=>{
+    for(const m of list){
+      recordBlock(m);
+      setBlockRotation(m, R);
+    }
+  });
+  updateJSON();
+}
+// --- end rotation ---
+
+// Escape clears the selection (Enter / Escape confirm or cancel a pending region fill)
+window.addEventListener('keydown', (ev)=>{
+  if(ev.key !== 'Escape' && ev.key !== 'Enter') return;
+  const t = ev.target;
+  if(t && (t.tagName === 'INPUT' || t.tagName === 'TEXTAREA')) return;
+  // an armed ground pick is cancelled by Escape
+  if(groundPickHandler && ev.key === 'Escape'){
+    finishGroundPick(null);
+    return;
+  }
+  // so does a generated shape waiting to be placed
+  if(pendingShape){
+    ev.preventDefault();
+    if(ev.key === 'Enter') confirmShape();
+    else cancelShape();
+    return;
+  }
+  // a pending region fill takes Enter (confirm) / Escape (cancel) first
+  if(pendingFill){
+    ev.preventDefault();
+    if(ev.key === 'Enter') confirmRegionFill();
+    else cancelRegionFill();
+    return;
+  }
+  if(ev.key !== 'Escape') return;
+  removeGrowHandles();
+  clearSelection();
+});
+// --- end selection ---
+
+// --- Selection-wide property edits (paint / material panels) ---
+// recolor blocks with a plain color material (one undoable step)
+export function paintBlocks(meshes, rgb){
+  const list = Array.from(meshes || []).filter(m => m && m.parent === blocksGroup);
+  if(!list.length || !Array.isArray(rgb)) return;
+  runCommand('색상 변경', ()=>{
+    for(const sel of list){
+      recordBlock(sel);
+      if(sel.material){
+        try{ sel.material.dispose && sel.material.dispose(); }catch(e){}
+      }
+      const col = new THREE.Color(rgb[0], rgb[1], rgb[2]);
+      sel.material = new THREE.MeshStandardMaterial({ color: col.clone(), roughness:0.6, metalness:0.0 });
+      try{ sel.material.emissive = col.clone(); sel.material.emissiveIntensity = 0.06; }catch(e){}
+      sel.userData.C = rgb.slice(0,3).map(v=>Math.round(v*1000)/1000);
+      sel.userData.M = null;
+      reapplyTransparency(sel);
+    }
+  });
+  updateJSON();
+}
+
+// Blocks face-connected to `start` (sharing part of a face, not just an edge or corner) that
+// look like it, found breadth-first through the occupancy index. start is always included.
+// opts: { sameLayer, match } as in setBucketOptions
+export function findConnectedBlocks(start, opts){
+  if(!start || start.parent !== blocksGroup) return [];
+  const match = (opts && opts.match) || 'both';
+  const sameLayer = !!(opts && opts.sameLayer);
+  // colors compare at 8 bits per channel, the picker's precision
+  const colorKey = (ud) => ud.C ? ud.C.slice(0,3).map(v => Math.round(v * 255)).join(',') : '';
+  const startUd = start.userData;
+  const startBox = blockWorldBox(start);
+  const same = (m) => {
+    const ud = m.userData || {};
+    if(match !== 'material' && colorKey(ud) !== colorKey(startUd)) return false;
+    if(match !== 'color' && (ud.M || null) !== (startUd.M || null)) return false;
+    if(sameLayer && Math.abs(blockWorldBox(m).min.y - startBox.min.y) > 1e-3) return false;
+    return true;
+  };
+  const found = new Set([start]);
+  const queue = [start];
+  const box = new THREE.Box3();
+  const slab = new THREE.Box3();
+  const SLAB = 0.5;
+  for(let qi = 0; qi < queue.length; qi++){
+    const m = queue[qi];
+    blockWorldBox(m, box);
+    // a thin box just outside each face; edge/corner contact has no volume and is skipped
+    for(let axis = 0; axis < 3; axis++){
+      if(sameLayer && axis === 1) continue;
+      for(const side of [-1, 1]){
+        slab.copy(box);
+        if(side > 0){
+          slab.min.setComponent(axis, box.max.getComponent(axis));
+          slab.max.setComponent(axis, box.max.getComponent(axis) + SLAB);
+        } else {
+          slab.max.setComponent(axis, box.min.getComponent(axis));
+          slab.min.setComponent(axis, box.min.getComponent(axis) - SLAB);
+        }
+        for(const n of occupancy.query(slab, found)){
+          if(!same(n)) continue;
+          found.add(n);
+          queue.push(n);
+        }
+      }
+    }
+  }
+  return Array.from(found);
+}
+
+// bucket click: recolor (Paint) or re-material (Material) the clicked block's connected region
+// as one undoable step, so the JSON is rebuilt once
+export function bucketFill(start){
+  const region = findConnectedBlocks(start, bucketOptions);
+  if(!region.length) return 0;
+  if(toolMode === 'material'){
+    if(!selectedMaterialName) return 0;
+    applyMaterialToBlocks(region, selectedMaterialName);
+  } else {
+    paintBlocks(region, getCurrentColorOverride() || [0.95, 0.95, 0.95]);
+  }
+  return region.length;
+}
+
+// apply a named material to blocks, tinted by the current color override (one undoable step)
+export function applyMaterialToBlocks(meshes, name){
+  const list = Array.from(meshes || []).filter(m => m && m.parent === blocksGroup);
+  if(!list.length) return;
+  runCommand('재질 변경', ()=>{
+    for(const sel of list){
+      recordBlock(sel);
+      restyleBlock(sel, name, getCurrentColorOverride(), { keepColor: true });
+    }
+  });
+  updateJSON();
+}
+
+// give a block a fresh material: a clone of the named material tinted by rgb (untinted when
+// rgb is null), or a plain color material when the name is not a known material.
+// C becomes rgb, except with opts.keepColor (the Material panel), where a textured block keeps
+// its C. No history; callers record the block first.
+function restyleBlock(sel, name, rgb, opts){
+  // a T equal to the old material's default (Glass, see-through custom materials) came with
+  // that material and goes with it; a T the user set to something else is kept
+  const oldDefaultT = materialDefaultTransparency(sel.userData.M);
+  if(oldDefaultT > 0 && typeof sel.userData.T === 'number' && Math.abs(sel.userData.T - oldDefaultT) < 1e-3) delete sel.userData.T;
+  // dispose old material safely
+  if(sel.material){
+    try{ sel.material.dispose && sel.material.dispose(); }catch(e){}
+  }
+  const matDef = materials[name];
+  if(matDef && matDef.material){
+    sel.material = matDef.material.clone();
+    if(rgb && sel.material.color){
+      sel.material.color.copy(new THREE.Color(rgb[0], rgb[1], rgb[2]));
+      try{ sel.material.emissive = new THREE.Color(rgb[0], rgb[1], rgb[2]); sel.material.emissiveIntensity = 0.06; }catch(e){}
+    }
+    sel.userData.M = name;
+    if(opts && opts.keepColor) sel.userData.C = sel.userData.C && sel.userData.C.length ? sel.userData.C : null;
+    else sel.userData.C = rgb ? rgb.slice(0,3).map(v=>Math.round(v*1000)/1000) : null;
+    const T = materialDefaultTransparency(name);
+    if(T > 0) sel.userData.T = T;
+    applyBlockUVs(sel);
+  } else {
+    // No texture material -> plain color (or default)
+    const useCol = rgb || [0.95,0.95,0.95];
+    sel.material = new THREE.MeshStandardMaterial({ color: new THREE.Color(useCol[0], useCol[1], useCol[2]), roughness:0.6 });
+    try{ sel.material.emissive = new THREE.Color(useCol[0], useCol[1], useCol[2]); sel.material.emissiveIntensity = 0.06; }catch(e){}
+    sel.userData.M = null;
+    sel.userData.C = useCol.slice(0,3).map(v=>Math.round(v*1000)/1000);
+  }
+  reapplyTransparency(sel);
+}
+
+// T is Roblox Transparency (0 = opaque, 1 = invisible), so the rendered opacity is 1 - T
+function applyTransparency(material, T){
+  const t = (typeof T === 'number') ? Math.max(0, Math.min(1, T)) : 0;
+  material.transparent = t > 0;
+  material.opacity = 1 - t;
+  material.needsUpdate = true;
+}
+
+// keep a block's stored transparency flag visible after its material was swapped
+function reapplyTransparency(mesh){
+  const T = mesh.userData && mesh.userData.T;
+  if(typeof T !== 'number' || !mesh.material) return;
+  applyTransparency(mesh.material, T);
+}
+
+// set Anchored (A), CanCollide (K) and/or Editable (E) on blocks (one undoable step).
+// flags: { A, K, E } booleans; omitted keys are left as they are. Defaults are stored by
+// removing the key, like the export does (A/K default true, E default false).
+export function setBlocksFlags(meshes, flags){
+  const list = Array.from(meshes || []).filter(m => m && m.parent === blocksGroup);
+  if(!list.length || !flags) return;
+  runCommand('속성 변경', ()=>{
+    for(const mesh of list){
+      recordBlock(mesh);
+      applyFlagsTo(mesh.userData, flags);
+    }
+  });
+  updateJSON();
+}
+// write flags into block userData; defaults are stored by removing the key.
+// Only the keys present in `flags` change (T is applied only when it is a number).
+function applyFlagsTo(ud, flags){
+  if(typeof flags.A === 'boolean'){ if(flags.A) delete ud.A; else ud.A = false; }
+  if(typeof flags.K === 'boolean'){ if(flags.K) delete ud.K; else ud.K = false; }
+  if(typeof flags.E === 'boolean'){ if(flags.E) ud.E = true; else delete ud.E; }
+  if(typeof flags.T === 'number'){ if(flags.T > 0) ud.T = flags.T; else delete ud.T; }
+}
+// --- end selection-wide edits ---
+
+// --- Find & replace across the build ---
+// query: any of { M, C: { rgb, tolerance }, T, K, A }; omitted keys match everything.
+// M null matches plain color blocks; C tolerance is the largest per-channel difference
+// allowed, in 0..255 steps; T matches within 0.005.
+function blockMatches(ud, query){
+  if('M' in query && (ud.M || null) !== (query.M || null)) return false;
+  if(query.C && Array.isArray(query.C.rgb)){
+    // blocks without C show the default color (plain) or the untinted texture (white)
+    const c = ud.C || (ud.M ? [1, 1, 1] : [0.95, 0.95, 0.95]);
+    const tol = Math.max(0, Number(query.C.tolerance) || 0);
+    for(let i=0;i<3;i++){
+      if(Math.abs(Math.round(c[i] * 255) - Math.round(query.C.rgb[i] * 255)) > tol) return false;
+    }
+  }
+  if(typeof query.T === 'number' && Math.abs((typeof ud.T === 'number' ? ud.T : 0) - query.T) > 0.005) return false;
+  if(typeof query.K === 'boolean' && (ud.K !== false) !== query.K) return false;
+  if(typeof query.A === 'boolean' && (ud.A !== false) !== query.A) return false;
+  return true;
+}
+
+export function findBlocks(query){
+  if(!query) return [];
+  return blocksGroup.children.filter(m => m.userData && blockMatches(m.userData, query));
+}
+
+// set new values on blocks (one undoable step). values: any of { M, C, T, K, A };
+// M null turns blocks into plain color blocks. Material and color changes go through the
+// same material cloning as the Material panel.
+export function replaceInBlocks(meshes, values){
+  const list = Array.from(meshes || []).filter(m => m && m.parent === blocksGroup);
+  if(!list.length || !values) return 0;
+  runCommand('찾아 바꾸기', ()=>{
+    for(const mesh of list){
+      recordBlock(mesh);
+      const ud = mesh.userData;
+      const restyle = 'M' in values || 'C' in values;
+      if(restyle){
+        const name = 'M' in values ? values.M : ud.M;
+        const rgb = 'C' in values ? values.C : ud.C;
+        restyleBlock(mesh, name, Array.isArray(rgb) ? rgb : null);
+      }
+      applyFlagsTo(ud, values);
+      if(typeof values.T === 'number'){
+        // clone so a material shared with other blocks is not made transparent too
+        if(!restyle){
+          const old = mesh.material;
+          mesh.material = old.clone();
+          try{ old.dispose && old.dispose(); }catch(e){}
+        }
+        applyTransparency(mesh.material, ud.T || 0);
+      }
+    }
+  });
+  updateJSON();
+  return list.length;
+}
+
+// outlines marking find results (separate from the selection outline), drawn as one merged
+// line geometry so a large match set stays a single draw call
+const matchGroup = new THREE.Group(); matchGroup.name = "MatchOutlines"; scene.add(matchGroup);
+const MATCH_LINE_MAT = new THREE.LineBasicMaterial({ color: 0xffaa33, transparent: true, opacity: 0.95 });
+export function highlightBlocks(meshes){
+  clearBlockHighlight();
+  const list = Array.from(meshes || []);
+  if(!list.length) return;
+  const chunks = [];
+  let total = 0;
+  const matrix = new THREE.Matrix4();
+  const grow = new THREE.Vector3();
+  for(const mesh of list){
+    const edges = new THREE.EdgesGeometry(mesh.geometry);
+    // grow slightly so the outline does not z-fight with the block faces
+    grow.copy(mesh.scale).multiplyScalar(1.02);
+    edges.applyMatrix4(matrix.compose(mesh.position, mesh.quaternion, grow));
+    const arr = edges.getAttribute('position').array;
+    chunks.push(arr);
+    total += arr.length;
+    edges.dispose();
+  }
+  const positions = new Float32Array(total);
+  let offset = 0;
+  for(const arr of chunks){ positions.set(arr, offset); offset += arr.length; }
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  const lines = new THREE.LineSegments(geo, MATCH_LINE_MAT);
+  lines.renderOrder = 997;
+  matchGroup.add(lines);
+}
+export function clearBlockHighlight(){
+  while(matchGroup.children.length){
+    const c = matchGroup.children[0];
+    matchGroup.remove(c);
+    if(c.geometry) c.geometry.dispose();
+  }
+}
+// --- end find & replace ---
+
 // JSON export
+// Y convention of exported block lists: P[1] = editor center Y + JSON_Y_BASELINE
+// (project files record it as grid.yBaseline; see project.js)
+export const JSON_Y_BASELINE = 1;
+
 export function updateJSON(){
+  // defer while a command is being recorded; runCommand flushes once at the end
+  if(history.isRecording()){ jsonDirty = true; return; }
+  jsonDirty = false;
+  const arr = exportBlocks();
+  const jsonOut = document.getElementById("jsonOut");
+  if(jsonOut) jsonOut.value = HttpStringify(arr);
+}
+
+// exported position value. Block faces sit on whole studs, so a center is a whole or half stud
+// (even-sized parts from stretch, optimize or the generator); the compact list keeps the half.
+// exact keeps 3 decimals (project files).
+function exportPos(v, exact){
+  return exact ? Math.round(v * 1000) / 1000 : Math.round(v * 2) / 2;
+}
+
+// compact block list (P,S,C,M,E,T,K,A,R; defaults omitted).
+// opts.exact keeps positions to 3 decimals instead of half studs (project files).
+export function exportBlocks(opts){
+  const exact = !!(opts && opts.exact);
+  const pos = (v) => exportPos(v, exact);
   const arr = [];
   for(const m of blocksGroup.children){
     const ud = m.userData;
     if(!ud) continue;
-    // use compact keys: P,S,C,M,E,T,K,A (omit defaults)
+    // use compact keys: P,S,C,M,E,T,K,A,R (omit defaults)
     // Export Y as editor's internal Y + 1 to match external JSON baseline
-    const P = ud.P ? [ Math.round(ud.P[0]), Math.round(ud.P[1]) + 1, Math.round(ud.P[2]) ] : [0,1,0];
+    const P = ud.P ? [ pos(ud.P[0]), pos(ud.P[1]) + JSON_Y_BASELINE, pos(ud.P[2]) ] : [0,JSON_Y_BASELINE,0];
     const S = ud.S ? ud.S.map(v=>Math.round(v)) : [GRID_UNIT, GRID_UNIT, GRID_UNIT];
     let C = ud.C ? ud.C.slice(0,3) : null;
     const M = ud.M || null;
@@ -487,16 +2022,19 @@ export function updateJSON(){
     if(M) obj.M = M;
 
     // optional properties: only include when different from defaults
-    // Defaults assumed: E=false, T=0, K=true, A=true
+    // Defaults assumed: E=false, K=true, A=true, T = the material's default transparency
+    // (0 except Glass), so an opaque Glass block writes T: 0
     if(ud.E === true) obj.E = true;
     if(typeof ud.T === 'number' && ud.T > 0) obj.T = Math.round(ud.T * 1000) / 1000;
+    else if(materialDefaultTransparency(M) > 0) obj.T = 0;
     if(ud.K === false) obj.K = false;
     if(ud.A === false) obj.A = false;
+    // orientation (Euler XYZ degrees) only when rotated
+    if(hasRotation(ud.R)) obj.R = ud.R.slice(0,3).map(v => Math.round(v * 1000) / 1000);
 
     arr.push(obj);
   }
-  const jsonOut = document.getElementById("jsonOut");
-  if(jsonOut) jsonOut.value = HttpStringify(arr);
+  return arr;
 }
 
 // small helper to stringify with stable formatting (avoid heavy whitespace)
@@ -509,23 +2047,27 @@ function HttpStringify(v){
 }
 
 // Grow handles & preview
+// handle placement along the block's own axes; each face gets a handle just outside it.
+// Works for non-cubic sizes (each axis uses its own S) and rotated blocks.
+const GROW_AXES = ['x', 'y', 'z'];
+function growHandleDefs(mesh){
+  const S = mesh.userData.S || [GRID_UNIT, GRID_UNIT, GRID_UNIT];
+  const center = mesh.userData.P ? new THREE.Vector3().fromArray(mesh.userData.P) : mesh.position.clone();
+  const defs = [];
+  GROW_AXES.forEach((axis, index)=>{
+    for(const dir of [1, -1]){
+      const worldDir = MOVE_AXES[axis].dir.clone().multiplyScalar(dir).applyQuaternion(mesh.quaternion);
+      const pos = center.clone().add(worldDir.clone().multiplyScalar(S[index] / 2 + GROW_SPHERE_RADIUS));
+      defs.push({ axis, dir, index, worldDir, pos });
+    }
+  });
+  return defs;
+}
+
 export function createGrowHandlesFor(mesh){
   removeGrowHandles();
   if(!mesh) return;
-  const s = mesh.userData.S ? mesh.userData.S[0] : (GRID_UNIT);
-  const half = s/2;
-  const center = mesh.position.clone();
-
-  const axes = [
-    {axis:'x', dir:1, pos:new THREE.Vector3(center.x + half + GROW_SPHERE_RADIUS, center.y, center.z)},
-    {axis:'x', dir:-1,pos:new THREE.Vector3(center.x - half - GROW_SPHERE_RADIUS, center.y, center.z)},
-    {axis:'y', dir:1, pos:new THREE.Vector3(center.x, center.y + half + GROW_SPHERE_RADIUS, center.z)},
-    {axis:'y', dir:-1,pos:new THREE.Vector3(center.x, center.y - half - GROW_SPHERE_RADIUS, center.z)},
-    {axis:'z', dir:1, pos:new THREE.Vector3(center.x, center.y, center.z + half + GROW_SPHERE_RADIUS)},
-    {axis:'z', dir:-1,pos:new THREE.Vector3(center.x, center.y, center.z - half - GROW_SPHERE_RADIUS)}
-  ];
-
-  for(const a of axes){
+  for(const a of growHandleDefs(mesh)){
     const geo = new THREE.SphereGeometry(GROW_SPHERE_RADIUS, 12, 12);
     const mat = new THREE.MeshStandardMaterial({ color:0x3399ff, emissive:0x155f99, metalness:0.2, roughness:0.4 });
     const sp = new THREE.Mesh(geo, mat);
@@ -555,6 +2097,19 @@ export function updateHandlesPosition(){
 }
 
 // Pointer interactions for selection, placement and grow dragging
+// one-shot ground pick (e.g. merge-import anchor): the next canvas click on the ground is
+// handed to cb(point) instead of placing/selecting; Escape or a miss calls cb(null)
+let groundPickHandler = null;
+export function pickGroundPoint(cb){
+  if(groundPickHandler) groundPickHandler(null);
+  groundPickHandler = cb;
+}
+function finishGroundPick(point){
+  const cb = groundPickHandler;
+  groundPickHandler = null;
+  if(cb) cb(point);
+}
+
 function onPointerDown(ev){
   // ignore right-clicks here so the contextmenu handler is the sole delete action
   if(ev.button === 2) return;
@@ -569,28 +2124,37 @@ function onPointerDown(ev){
 
   raycaster.setFromCamera(pointer, camera);
 
+  if(groundPickHandler){
+    const groundHit = raycaster.intersectObject(ground, false)[0];
+    finishGroundPick(groundHit ? new THREE.Vector3(snap(groundHit.point.x, GRID_UNIT), 0, snap(groundHit.point.z, GRID_UNIT)) : null);
+    return;
+  }
+
+  // a pending generated shape: the click pins it where it is shown
+  if(pendingShape){
+    const spot = shapeSpotFromPointer();
+    if(spot){
+      moveShapeTo(spot);
+      pendingShape.pinned = true;
+      notifyShapePreview();
+    }
+    return;
+  }
+
+  // Move tool: dragging an axis arrow translates the selection
+  if(toolMode === 'move' && moveGizmo.visible){
+    const gizmoHits = raycaster.intersectObjects(moveGizmo.children, true);
+    if(gizmoHits.length){
+      let obj = gizmoHits[0].object;
+      while(obj && !obj.userData.moveAxis) obj = obj.parent;
+      if(obj && startMoveDrag(obj.userData.moveAxis)) return;
+    }
+  }
+
   // FIRST: always check grow-handle intersections (so handles can start drag when rescale is active)
   const handleIntersects = raycaster.intersectObjects(growHandlesGroup.children, false);
   if(handleIntersects.length && toolMode === 'rescale'){
-    const hit = handleIntersects[0];
-    const h = hit.object;
-    const ud = h.userData && h.userData.handle;
-    if(ud && selectedMesh){
-      isDraggingGrow = true;
-      const axisVec = new THREE.Vector3(ud.axis==='x'?1:0, ud.axis==='y'?1:0, ud.axis==='z'?1:0);
-      const startPoint = hit.point.clone();
-      activeGrow = {
-        axis: ud.axis,
-        dir: ud.dir,
-        startPoint: startPoint,
-        mesh: selectedMesh,
-        axisVec: axisVec,
-        startCenter: selectedMesh.position.clone()
-      };
-      controls.enableRotate = false;
-      controls.enablePan = false;
-      return;
-    }
+    if(beginGrowDrag(handleIntersects[0])) return;
   }
 
   // If rescale tool active -> start painting when clicking any block. Do this AFTER checking handles
@@ -599,23 +2163,8 @@ function onPointerDown(ev){
     if(intersects.length){
       // clicking a block while in rescale mode should select that block (so user can switch selection)
       const hitObj = intersects[0].object;
-      // restore previous selection's visual state
-      if(selectedMesh && selectedMesh !== hitObj){
-        if(selectedMesh.material && selectedMesh.userData && selectedMesh.userData._origEmissive){
-          // restore previous emissive if stored
-          try { selectedMesh.material.emissive.copy(selectedMesh.userData._origEmissive); } catch(e){}
-          delete selectedMesh.userData._origEmissive;
-        }
-      }
-      // set new selection
-      selectedMesh = hitObj;
-      // subtly highlight selection (non-destructive)
-      if(selectedMesh && selectedMesh.material && !selectedMesh.userData._origEmissive){
-        try { selectedMesh.userData._origEmissive = selectedMesh.material.emissive.clone(); } catch(e){}
-      }
-      if(selectedMesh && selectedMesh.material && selectedMesh.material.emissive){
-        try { selectedMesh.material.emissive.copy(new THREE.Color(0x3399ff).multiplyScalar(0.18)); } catch(e){}
-      }
+      // set new selection (outline highlight is handled by the selection helpers)
+      setSelection([hitObj]);
       // update size input if available
       const ud = selectedMesh.userData;
       if(ud && ud.S){
@@ -623,9 +2172,9 @@ function onPointerDown(ev){
         if(sizeEl) sizeEl.value = Math.round(ud.S[0]);
       }
 
-      // start painting on the clicked block
+      // start painting on the clicked block (drops any previous marks / pending fill)
       isPainting = true;
-      paintedMap.clear();
+      clearPaintMarkers();
       createPaintMarkerAt(hitObj);
       // keep dragging painting active
       // NOTE: do NOT return here — allow placement behavior to proceed if user clicked empty space or ground/top later
@@ -639,11 +2188,25 @@ function onPointerDown(ev){
 
   // existing grow handle / placement logic follows when not in rescale tool
   const intersects = raycaster.intersectObjects(blocksGroup.children.concat([ground]), false);
+  // Eyedropper tool, or Alt+click while placing: copy the clicked block's style instead of placing
+  if(intersects.length && intersects[0].object !== ground && (toolMode === 'eyedropper' || (ev.altKey && canPlaceNow()))){
+    pickBlockStyle(intersects[0].object);
+    return;
+  }
+  if(intersects.length && intersects[0].object !== ground && bucketActive()){
+    bucketFill(intersects[0].object);
+    return;
+  }
+  // Shift/Ctrl-drag starting on empty ground or sky draws a selection marquee
+  if((ev.shiftKey || ev.ctrlKey || ev.metaKey) && (!intersects.length || intersects[0].object === ground)){
+    startMarquee(ev);
+    return;
+  }
   if(intersects.length){
     const i = intersects[0];
     if(i.object === ground){
       // if placement mode is OFF, do not place new blocks on ground
-      if(!placeMode) return;
+      if(!canPlaceNow()) return;
 
       const hit = i.point;
       // allow exact integer sizes (>=1) from the size input
@@ -665,36 +2228,30 @@ function onPointerDown(ev){
         matName = null;
       }
 
-      placeBlockAt(px, snap(py, s), pz, s, s, s, materialOrColor, matName);
+      placeBlockAt(px, snap(py, s), pz, s, s, s, materialOrColor, matName, { flags: placementFlags });
       
     }else{
       // clicking on an existing block:
       // If destroy tool is active -> delete immediately on left-click
       if(toolMode === 'destroy'){
-        try{
-          const meshToDelete = i.object;
-          if(selectedMesh === meshToDelete) selectedMesh = null;
-          removeGrowHandles();
-          blocksGroup.remove(meshToDelete);
-          if(meshToDelete.geometry) meshToDelete.geometry.dispose();
-          if(meshToDelete.material) try{ meshToDelete.material.dispose && meshToDelete.material.dispose(); }catch(e){}
-          // clear any lingering paint markers so blue dots don't remain
-          try{ clearPaintMarkers(); }catch(e){}
-          updateJSON();
-          const evt = new CustomEvent('block:deleted', { detail: { } });
-          window.dispatchEvent(evt);
-        }catch(e){}
+        try{ removeBlock(i.object); }catch(e){}
         return;
       }
-      // If clicking a block's top surface, allow placing a block on top.
       const hitObj = i.object;
+      // Shift-click adds the block to the selection, Ctrl/Cmd-click toggles it
+      if(ev.shiftKey || ev.ctrlKey || ev.metaKey){
+        if(ev.ctrlKey || ev.metaKey) toggleSelection(hitObj);
+        else addToSelection(hitObj);
+        removeGrowHandles();
+        return;
+      }
+      // If clicking a block's top surface, allow placing a block on top.
       const topY = hitObj.position.y + ((hitObj.userData && hitObj.userData.S) ? hitObj.userData.S[1]/2 : GRID_UNIT/2);
       const faceNormalWorld = i.face ? i.face.normal.clone().transformDirection(hitObj.matrixWorld) : null;
       const clickedTop = faceNormalWorld ? (faceNormalWorld.y > 0.9) : false;
 
-      if(clickedTop){
-        // if placement mode is OFF, do not place new blocks on top
-        if(!placeMode) return;
+      // if placement mode is OFF, clicking the top falls through to selection
+      if(clickedTop && canPlaceNow()){
 
         // place block on top of this block
         const hit = i.point;
@@ -719,7 +2276,7 @@ function onPointerDown(ev){
           matName = null;
         }
 
-        placeBlockAt(px, snap(basePy, s), pz, s, s, s, materialOrColor, matName);
+        placeBlockAt(px, snap(basePy, s), pz, s, s, s, materialOrColor, matName, { flags: placementFlags });
         
         return;
       }
@@ -745,9 +2302,8 @@ function onPointerDown(ev){
         }
       })();
 
-      if(isSideFace){
-        // if placement mode is OFF, do not place adjacent blocks
-        if(!placeMode) return;
+      // if placement mode is OFF, clicking a side falls through to selection
+      if(isSideFace && canPlaceNow()){
 
         const hitPoint = i.point.clone();
         const raw = parseFloat(document.getElementById("size").value) || 1;
@@ -775,35 +2331,25 @@ function onPointerDown(ev){
         // COMPENSATE for editor's internal +1 offset: subtract 1 from baseY
         const basePy = basePyCandidate - 1;
 
-        // Helper: check for cardinal (non-diagonal) neighbor blocks at the target base cell
+        // Helper: check for cardinal (non-diagonal) neighbor blocks around the target box.
+        // A neighbor must share part of one of the four side faces; blocks that only touch
+        // an edge or corner (diagonal) leave the thin slab outside each face empty.
         function hasCardinalNeighborAt(x, baseY, z){
-          // convert target base cell into expected center coordinates for comparison
-          // centerY = baseY + halfHeight + 1 (editor stores centers with +1 offset applied on placement)
-          const half = Math.round(s) / 2;
-          const targetCenterY = baseY + 1 + half;
-          // check the four cardinal offsets (±GRID_UNIT in x or z)
-          const offsets = [
-            {dx: GRID_UNIT, dz: 0},
-            {dx: -GRID_UNIT, dz: 0},
-            {dx: 0, dz: GRID_UNIT},
-            {dx: 0, dz: -GRID_UNIT}
+          const half = s / 2;
+          // world bottom = baseY + 1 (editor stores centers with +1 offset applied on placement)
+          const bottom = snap(baseY, s) + 1;
+          const slab = 0.5;
+          const faces = [
+            { min: [x + half, bottom, z - half], max: [x + half + slab, bottom + s, z + half] },
+            { min: [x - half - slab, bottom, z - half], max: [x - half, bottom + s, z + half] },
+            { min: [x - half, bottom, z + half], max: [x + half, bottom + s, z + half + slab] },
+            { min: [x - half, bottom, z - half - slab], max: [x + half, bottom + s, z - half] }
           ];
-          for(const off of offsets){
-            const tx = Math.round(x + off.dx);
-            const tz = Math.round(z + off.dz);
-            // iterate blocks to see if any block has center matching tx,tz and shares the same baseY
-            for(const b of blocksGroup.children){
-              const ud = b.userData || {};
-              if(!ud.P || !ud.S) continue;
-              const bx = Math.round(ud.P[0]);
-              const bz = Math.round(ud.P[2]);
-              const bHalf = (ud.S && ud.S[1]) ? ud.S[1] / 2 : (GRID_UNIT/2);
-              const bBaseY = Math.round(ud.P[1] - bHalf);
-              // compare coordinates (allow exact grid-aligned equality)
-              if(bx === tx && bz === tz && bBaseY === baseY){
-                return true;
-              }
-            }
+          const box = new THREE.Box3();
+          for(const f of faces){
+            box.min.fromArray(f.min);
+            box.max.fromArray(f.max);
+            if(occupancy.query(box).length) return true;
           }
           return false;
         }
@@ -824,70 +2370,28 @@ function onPointerDown(ev){
           matName = null;
         }
 
-        placeBlockAt(px, snap(basePy, s), pz, s, s, s, materialOrColor, matName);
+        placeBlockAt(px, snap(basePy, s), pz, s, s, s, materialOrColor, matName, { flags: placementFlags });
         return;
       }
 
       // Selection logic: first click selects but does NOT create grow handles; second click on same mesh creates them
-
-      // --- UPDATED: use safe highlight/unhighlight helpers so selecting doesn't permanently darken meshes ---
-      function highlightMesh(mesh){
-        if(!mesh || !mesh.material) return;
-        // store original emissive (clone) only once
-        if(mesh.material.emissive && !mesh.userData._origEmissive){
-          mesh.userData._origEmissive = mesh.material.emissive.clone();
-        }
-        if(mesh.material.emissive){
-          // subtle bluish highlight that is not too dark
-          mesh.material.emissive.copy(new THREE.Color(0x3399ff).multiplyScalar(0.18));
-        }
-      }
-      function unhighlightMesh(mesh){
-        if(!mesh || !mesh.material) return;
-        if(mesh.material.emissive && mesh.userData && mesh.userData._origEmissive){
-          mesh.material.emissive.copy(mesh.userData._origEmissive);
-          delete mesh.userData._origEmissive;
-        }
-      }
-      // --- end helpers ---
-
       if(selectedMesh === hitObj){
         // second click on same mesh -> show grow handles (toggle)
-        // keep highlight behavior temporary (do not permanently change emissive)
-        highlightMesh(selectedMesh);
+        // collapse a multi-selection back to this block
+        if(selection.size > 1) setSelection([hitObj]);
         // only create grow handles if rescale tool is active
         if(toolMode === 'rescale') createGrowHandlesFor(selectedMesh);
         // Immediately try to begin a grow drag if the click hit a handle position:
         // raycast against newly-created handles using the same raycaster / pointer.
         const handleIntersectsAfter = (toolMode === 'rescale') ? raycaster.intersectObjects(growHandlesGroup.children, false) : [];
         if(handleIntersectsAfter.length){
-          const hHit = handleIntersectsAfter[0];
-          const h = hHit.object;
-          const ud = h.userData && h.userData.handle;
-          if(ud && selectedMesh){
-            isDraggingGrow = true;
-            const axisVec = new THREE.Vector3(ud.axis==='x'?1:0, ud.axis==='y'?1:0, ud.axis==='z'?1:0);
-            const startPoint = hHit.point.clone();
-            activeGrow = {
-              axis: ud.axis,
-              dir: ud.dir,
-              startPoint: startPoint,
-              mesh: selectedMesh,
-              axisVec: axisVec,
-              startCenter: selectedMesh.position.clone()
-            };
-            controls.enableRotate = false;
-            controls.enablePan = false;
-            return;
-          }
+          if(beginGrowDrag(handleIntersectsAfter[0])) return;
         }
         return;
       }
 
-      // selecting a different mesh: restore previous selection emissive and highlight new one
-      if(selectedMesh) unhighlightMesh(selectedMesh);
-      selectedMesh = hitObj;
-      highlightMesh(selectedMesh);
+      // selecting a different mesh replaces the selection
+      setSelection([hitObj]);
       const ud = selectedMesh.userData;
       if(ud && ud.P && ud.S){
         // update only size in UI (position inputs removed)
@@ -901,6 +2405,24 @@ function onPointerDown(ev){
 }
 
 function onPointerMove(ev){
+  if(marquee){
+    updateMarquee(ev);
+    return;
+  }
+  if(activeMove){
+    updateMoveDrag(ev);
+    return;
+  }
+  // an unpinned generated shape follows the pointer
+  if(pendingShape && !pendingShape.pinned){
+    const rect = canvas.getBoundingClientRect();
+    pointer.x = ((ev.clientX - rect.left) / rect.width) * 2 - 1;
+    pointer.y = -((ev.clientY - rect.top) / rect.height) * 2 + 1;
+    raycaster.setFromCamera(pointer, camera);
+    const spot = shapeSpotFromPointer();
+    if(spot) moveShapeTo(spot);
+    return;
+  }
   // If rescale tool active and painting, raycast to blocks and add paint markers
   if(toolMode === 'rescale' && isPainting){
     const rect = canvas.getBoundingClientRect();
@@ -920,90 +2442,79 @@ function onPointerMove(ev){
   pointer.x = ((ev.clientX - rect.left) / rect.width) * 2 - 1;
   pointer.y = -((ev.clientY - rect.top) / rect.height) * 2 + 1;
   raycaster.setFromCamera(pointer, camera);
-  const planeIntersects = raycaster.intersectObject(ground, false);
-  let point;
-  if(planeIntersects.length) point = planeIntersects[0].point;
-  else point = raycaster.ray.at(10, new THREE.Vector3());
-  const deltaVec = new THREE.Vector3().subVectors(point, activeGrow.startCenter);
-  const axisVec = activeGrow.axisVec.clone().multiplyScalar(activeGrow.dir);
-  const signed = deltaVec.dot(axisVec);
-  const steps = Math.max(0, Math.round(signed / GRID_UNIT));
-  while(previewGroup.children.length) {
-    const c = previewGroup.children[0];
-    previewGroup.remove(c);
-    if(c.geometry) c.geometry.dispose();
-    if(c.material) c.material.dispose && c.material.dispose();
+  const t = axisParamFromPointer(activeGrow.startCenter, activeGrow.worldDir);
+  if(t === null) return;
+  clearGrowPreview();
+  if(activeGrow.variant === 'stretch'){
+    // whole-unit resize along the handle axis; the opposite face stays put
+    const next = stretchTarget(activeGrow, t - activeGrow.t0);
+    activeGrow.newLength = next.length;
+    if(next.length === activeGrow.startS[activeGrow.index]) return;
+    const geom = new THREE.BoxGeometry(next.S[0], next.S[1], next.S[2]);
+    const box = new THREE.Mesh(geom, PREVIEW_MAT.clone());
+    box.position.copy(next.center);
+    box.quaternion.copy(activeGrow.mesh.quaternion);
+    previewGroup.add(box);
+    return;
   }
+  // clone mode: one copy per block length dragged along the axis
+  const step = activeGrow.startS[activeGrow.index];
+  const steps = Math.max(0, Math.round((t - activeGrow.t0) / step));
   for(let i=1;i<=steps;i++){
-    const pos = activeGrow.startCenter.clone().add(axisVec.clone().multiplyScalar(i * GRID_UNIT));
-    const geom = new THREE.BoxGeometry(activeGrow.mesh.userData.S[0], activeGrow.mesh.userData.S[1], activeGrow.mesh.userData.S[2]);
+    const pos = activeGrow.startCenter.clone().add(activeGrow.worldDir.clone().multiplyScalar(i * step));
+    const S = activeGrow.startS;
+    const geom = new THREE.BoxGeometry(S[0], S[1], S[2]);
     const pm = PREVIEW_MAT.clone();
     const box = new THREE.Mesh(geom, pm);
     box.position.copy(pos);
+    box.quaternion.copy(activeGrow.mesh.quaternion);
     previewGroup.add(box);
   }
 }
 
 function onPointerUp(ev){
-  // if painting with rescale tool, finalize (currently painting just leaves blue markers; we stop painting)
+  if(marquee){
+    finishMarquee(ev);
+    return;
+  }
+  if(activeMove){
+    finishMoveDrag();
+    return;
+  }
+  // if painting with rescale tool, finalize: preview the fill of the marked region and wait for confirm/cancel
   if(toolMode === 'rescale' && isPainting){
     isPainting = false;
-    // keep markers visible (they were added to the scene). If desired to clear after, call clearPaintMarkers().
+    // nothing to fill (single mark or region already full) -> drop the markers
+    if(!previewRegionFill()) clearPaintMarkers();
     return;
   }
 
   if(isDraggingGrow && activeGrow){
-    const count = previewGroup.children.length;
-    if(count > 0){
-      const axisVec = activeGrow.axisVec.clone().multiplyScalar(activeGrow.dir);
-      const s = activeGrow.mesh.userData.S[0];
-      
-      // Use the material/color properties of the original block being grown
-      const originalMatName = activeGrow.mesh.userData.M;
-      
-      let materialOrColor;
-      const matName = originalMatName;
-      
-      if(originalMatName && materials[originalMatName]){
-          materialOrColor = materials[originalMatName].material;
-      } else {
-          materialOrColor = activeGrow.mesh.userData.C || [0.95,0.95,0.95];
-      }
-      
-      // Temporarily set currentColorOverride to the block's color tint (if texture)
-      // or to the solid color (if solid color) so placeBlockAt uses it.
-      const originalOverride = currentColorOverride;
-      
-      if(activeGrow.mesh.userData.C) {
-          setCurrentColorOverride(activeGrow.mesh.userData.C);
-      } else if (activeGrow.mesh.userData.M) {
-          // If texture but no color tint was explicitly saved (e.g., default texture color), ensure no override.
-          setCurrentColorOverride(null);
+    const grow = activeGrow;
+    if(grow.variant === 'stretch'){
+      const len = grow.newLength;
+      if(typeof len === 'number' && len !== grow.startS[grow.index]){
+        const next = stretchTarget(grow, null, len);
+        runCommand('블록 늘이기', ()=>{
+          recordBlock(grow.mesh);
+          resizeBlock(grow.mesh, next.S, next.center);
+        });
+        updateJSON();
       }
-      
-      for(let i=1;i<=count;i++){
-        const pos = activeGrow.startCenter.clone().add(axisVec.clone().multiplyScalar(i * GRID_UNIT));
-        // Snap horizontal positions to GRID_UNIT to align with grid baseline
-        const baseX = snap(pos.x, GRID_UNIT);
-        const baseZ = snap(pos.z, GRID_UNIT);
-        // Compute base Y (ground/base) from center and snap to GRID_UNIT as well.
-        // Use center.y - halfHeight to obtain base, then snap so final placement aligns to grid baseline.
-        const baseY = snap(Math.round(pos.y - activeGrow.mesh.userData.S[1]/2), GRID_UNIT);
-        
-        // Pass materialOrColor and matName explicitly. 
-        placeBlockAt(baseX, baseY, baseZ, s, s, s, materialOrColor, matName);
+    } else {
+      const count = previewGroup.children.length;
+      if(count > 0){
+        // the whole drag is a single undoable step
+        runCommand('블록 늘리기', ()=>{
+          const step = grow.startS[grow.index];
+          for(let i=1;i<=count;i++){
+            const pos = grow.startCenter.clone().add(grow.worldDir.clone().multiplyScalar(i * step));
+            cloneBlockAt(grow.mesh, pos);
+          }
+        });
       }
-
-      // Restore global color override state
-      setCurrentColorOverride(originalOverride);
-
-    }
-    while(previewGroup.children.length) {
-      const c = previewGroup.children[0];
-      previewGroup.remove(c);
-      if(c.geometry) c.geometry.dispose();
-      if(c.material) c.material.dispose && c.material.dispose();
     }
+    clearGrowPreview();
     isDraggingGrow = false;
     activeGrow = null;
     controls.enableRotate = true;
@@ -1027,20 +2538,8 @@ function onContextMenu(ev){
   if(intersects.length){
     const hit = intersects[0];
     const mesh = hit.object;
-    try{
-      // remove selected mesh if it's the one being deleted
-      if(selectedMesh === mesh) selectedMesh = null;
-      // remove grow handles if they reference this mesh
-      removeGrowHandles();
-      blocksGroup.remove(mesh);
-      if(mesh.geometry) mesh.geometry.dispose();
-      if(mesh.material) try{ mesh.material.dispose && mesh.material.dispose(); }catch(e){}
-      // ensure paint markers are cleared (fix for lingering blue dot)
-      try{ clearPaintMarkers(); }catch(e){}
-      updateJSON();
-      const evt = new CustomEvent('block:deleted', { detail: { } });
-      window.dispatchEvent(evt);
-    }catch(e){}
+    // removeBlock clears selection, grow handles and paint markers (fix for lingering blue dot)
+    try{ removeBlock(mesh); }catch(e){}
   } else {
     // nothing under cursor: do nothing (no floating menu)
   }
@@ -1057,30 +2556,30 @@ renderer.domElement.addEventListener('contextmenu', onContextMenu);
 window.addEventListener('keydown', (ev) => {
   // Only respond to Delete or Backspace
   if(ev.key !== 'Delete' && ev.key !== 'Backspace') return;
-  if(!selectedMesh) return;
+  if(!selection.size) return;
 
-  // remove selected mesh from scene and dispose resources
-  try {
-    // remove grow handles if they reference this mesh
-    removeGrowHandles();
-    // remove from group
-    blocksGroup.remove(selectedMesh);
-    if(selectedMesh.geometry) selectedMesh.geometry.dispose();
-    if(selectedMesh.material) {
-      try { selectedMesh.material.dispose && selectedMesh.material.dispose(); } catch(e){ }
-    }
-    // clear selection
-    selectedMesh = null;
-    // clear any paint markers so UI stays clean
-    try{ clearPaintMarkers(); }catch(e){}
-    // update JSON and notify UI
-    updateJSON();
-    const evt = new CustomEvent('block:deleted', { detail: { } });
-    window.dispatchEvent(evt);
-  } catch(e){}
+  // remove every selected mesh from scene (one undoable step); removeBlocks clears selection and notifies UI
+  try { removeBlocks(Array.from(selection)); } catch(e){}
 });
 // --- end keyboard delete handler ---
 
+// --- undo / redo shortcuts: Ctrl+Z, Ctrl+Shift+Z (or Ctrl+Y) ---
+window.addEventListener('keydown', (ev) => {
+  if(!(ev.ctrlKey || ev.metaKey)) return;
+  // leave text fields (e.g. the JSON textarea) to their native undo
+  const t = ev.target;
+  if(t && (t.tagName === 'INPUT' || t.tagName === 'TEXTAREA' || t.isContentEditable)) return;
+  const key = (ev.key || '').toLowerCase();
+  if(key === 'z' && !ev.shiftKey){
+    ev.preventDefault();
+    undo();
+  } else if((key === 'z' && ev.shiftKey) || key === 'y'){
+    ev.preventDefault();
+    redo();
+  }
+});
+// --- end undo / redo shortcuts ---
+
 // Animation loop
 function animate(){
   requestAnimationFrame(animate);
@@ -1088,6 +2587,7 @@ function animate(){
 
   // Update placement animations for newly placed meshes
   const now = performance.now();
+  updateRejectFlashes(now);
   for(const mesh of blocksGroup.children){
     const anim = mesh.userData && mesh.userData._placeAnim;
     if(anim){
@@ -1105,6 +2605,8 @@ function animate(){
         // cleanup animation meta and ensure exact final values
         delete mesh.userData._placeAnim;
         mesh.scale.set(1,1,1);
+        // settled: hand the block over to its batch
+        batcher.invalidate(mesh);
         if(mesh.userData && mesh.userData.P){
           // ensure final center Y is exact stored center
           mesh.position.y = mesh.userData.P[1];
@@ -1163,37 +2665,20 @@ function animate(){
     }
   }catch(e){}
 
+  if(selectionGroup.children.length) syncSelectionHighlight();
+  updateMoveGizmo();
+
   if(selectedMesh && !isDraggingGrow){
     // Only show grow handles visually when rescale tool is active
     if(toolMode === 'rescale'){
       if(growHandlesGroup.children.length === 0){
         createGrowHandlesFor(selectedMesh);
       } else {
-        const s = selectedMesh.userData.S ? selectedMesh.userData.S[0] : GRID_UNIT;
-        const half = s/2;
-        const center = selectedMesh.position.clone();
-        const poss = [
-          new THREE.Vector3(center.x + half + GROW_SPHERE_RADIUS, center.y, center.z),
-          new THREE.Vector3(center.x - half - GROW_SPHERE_RADIUS, center.y, center.z),
-          new THREE.Vector3(center.x, center.y + half + GROW_SPHERE_RADIUS, center.z),
-          new THREE.Vector3(center.x, center.y - half - GROW_SPHERE_RADIUS, center.z),
-          new THREE.Vector3(center.x, center.y, center.z + half + GROW_SPHERE_RADIUS),
-          new THREE.Vector3(center.x, center.y, center.z - half - GROW_SPHERE_RADIUS)
-        ];
+        // compute positions based on selectedMesh fresh each frame to avoid drift
+        const defs = growHandleDefs(selectedMesh);
         for(let i=0;i<growHandlesGroup.children.length;i++){
-          // fallback: compute positions based on selectedMesh fresh each frame to avoid drift
-          const halfSize = selectedMesh.userData.S ? selectedMesh.userData.S[0]/2 : GRID_UNIT/2;
-          const centerPos = selectedMesh.position.clone();
-          const positions = [
-            new THREE.Vector3(centerPos.x + halfSize + GROW_SPHERE_RADIUS, centerPos.y, centerPos.z),
-            new THREE.Vector3(centerPos.x - halfSize - GROW_SPHERE_RADIUS, centerPos.y, centerPos.z),
-            new THREE.Vector3(centerPos.x, centerPos.y + halfSize + GROW_SPHERE_RADIUS, centerPos.z),
-            new THREE.Vector3(centerPos.x, centerPos.y - halfSize - GROW_SPHERE_RADIUS, centerPos.z),
-            new THREE.Vector3(centerPos.x, centerPos.y, centerPos.z + halfSize + GROW_SPHERE_RADIUS),
-            new THREE.Vector3(centerPos.x, centerPos.y, centerPos.z - halfSize - GROW_SPHERE_RADIUS)
-          ];
-          if(growHandlesGroup.children[i] && positions[i]){
-            growHandlesGroup.children[i].position.copy(positions[i]);
+          if(growHandlesGroup.children[i] && defs[i]){
+            growHandlesGroup.children[i].position.copy(defs[i].pos);
           }
         }
       }
@@ -1202,6 +2687,8 @@ function animate(){
       if(growHandlesGroup.children.length) removeGrowHandles();
     }
   }
+  // rebuild only the batches whose blocks changed since the last frame
+  batcher.flush();
   renderer.render(scene, camera);
 }
 animate();
@@ -1314,10 +2801,14 @@ export function startEditor(){
   wireUI({
     placeBlockAt, placeBlock: placeBlockAt, updateJSON,
     snap, hexToRgbNormalized, rgbToHex,
-    blocksGroup, selectedMeshRef: () => selectedMesh, setSelected: (m)=>{ selectedMesh = m; },
+    blocksGroup, selectedMeshRef: () => selectedMesh, setSelected: (m)=>{ setSelection(m ? [m] : []); },
+    // multi-selection API
+    selectedMeshesRef: getSelectedMeshes, setSelection, addToSelection, toggleSelection, clearSelection,
     createGrowHandlesFor, removeGrowHandles, updateHandlesPosition, updateSceneTheme,
     // expose materials API to UI
     materials, getSelectedMaterial, setSelectedMaterial,
+    registerCustomMaterial, unregisterCustomMaterial, materialThumbnail,
+    getMaterialTextureScale, setMaterialTextureScale,
     // color override API
     setCurrentColorOverride, getCurrentColorOverride,
     // grid mode
@@ -1327,7 +2818,34 @@ export function startEditor(){
     // NEW: place mode API
     setPlaceMode, placeMode,
     // NEW: transparency API
-    setBlockTransparency
+    setBlockTransparency,
+    // inspector: Anchored / CanCollide / Editable
+    setBlocksFlags,
+    // eyedropper: copy a block's style into the placement state
+    pickBlockStyle, getPlacementFlags, setPlacementFlags,
+    // Paint / Material bucket fill
+    getBucketOptions, setBucketOptions, findConnectedBlocks, bucketFill,
+    // find & replace
+    findBlocks, replaceInBlocks, highlightBlocks, clearBlockHighlight,
+    // shape generator preview
+    previewShape, confirmShape, cancelShape, hasPendingShape,
+    // rescale variants (clone / stretch) and region fill
+    setRescaleVariant, getRescaleVariant,
+    confirmRegionFill, cancelRegionFill, hasPendingFill,
+    // overlap rejection
+    setAllowOverlap, getAllowOverlap, countOverlappingPairs,
+    // part-count optimizer
+    optimizeBlocks,
+    // merge import helpers
+    blocksInBox, pickGroundPoint,
+    // project files
+    exportBlocks, JSON_Y_BASELINE, GRID_UNIT,
+    // rotation API
+    rotateBlocks, setBlocksRotation, setBlockRotation,
+    // block removal + undo/redo history
+    removeBlock, removeBlocks, clearBlocks, runCommand, recordBlock, undo, redo, getHistoryState,
+    // selection-wide paint / material
+    paintBlocks, applyMaterialToBlocks
   });
 }
 
@@ -1337,33 +2855,70 @@ export function startEditor(){
 
 // add a small hook variable for UI to set/get selected material name
 export let selectedMaterialName = null;
+// flags given to interactively placed blocks ({ A, K, E, T }; null = defaults), set by the eyedropper
+let placementFlags = null;
 export function getSelectedMaterial(){
   return selectedMaterialName ? (materials[selectedMaterialName] ? materials[selectedMaterialName].material : null) : null;
 }
 export function setSelectedMaterial(name){
-  selectedMaterialName = name && materials[name] ? name : null;
+  const next = name && materials[name] ? name : null;
+  // a different material brings its own default transparency instead of the picked one
+  if(placementFlags && next !== selectedMaterialName) delete placementFlags.T;
+  selectedMaterialName = next;
+}
+
+export function getPlacementFlags(){
+  return placementFlags ? { ...placementFlags } : null;
+}
+export function setPlacementFlags(flags){
+  placementFlags = flags ? { ...flags } : null;
+}
+
+// Eyedropper: load a block's material, color, size and flags into the placement state.
+// The UI follows through the 'eyedropper:pick' event (detail: { M, C, S, size, flags }).
+export function pickBlockStyle(mesh){
+  const ud = mesh && mesh.userData;
+  if(!ud || !ud.S) return null;
+  const M = ud.M && materials[ud.M] ? ud.M : null;
+  setSelectedMaterial(M);
+  // a textured block without C was placed untinted; plain blocks always carry C
+  setCurrentColorOverride(ud.C ? ud.C : (M ? null : [0.95, 0.95, 0.95]));
+  // placement only makes cubes: take the largest side of non-cubic blocks
+  const size = Math.max(1, Math.round(Math.max(ud.S[0], ud.S[1], ud.S[2])));
+  const sizeEl = document.getElementById("size");
+  if(sizeEl) sizeEl.value = size;
+  setPlacementFlags({ A: ud.A !== false, K: ud.K !== false, E: ud.E === true, T: typeof ud.T === 'number' ? ud.T : 0 });
+  const detail = { M, C: ud.C ? ud.C.slice(0,3) : null, S: ud.S.slice(0,3), size, flags: getPlacementFlags() };
+  window.dispatchEvent(new CustomEvent('eyedropper:pick', { detail }));
+  return detail;
 }
 
-// NEW: set transparency on a given mesh (value in 0..1). If null, clears transparency flag.
-export function setBlockTransparency(mesh, value){
-  if(!mesh || !mesh.material) return;
+// NEW: set transparency on a given mesh, or on a list/Set of meshes such as the selection
+// (value in 0..1, Roblox Transparency: 0 = opaque). 0 or null clears the transparency flag.
+export function setBlockTransparency(meshOrList, value){
+  const list = (Array.isArray(meshOrList) || meshOrList instanceof Set) ? Array.from(meshOrList) : [meshOrList];
+  const targets = list.filter(m => m && m.material);
+  if(!targets.length) return;
   const v = (typeof value === 'number') ? Math.max(0, Math.min(1, value)) : null;
   try{
-    // clone material to avoid shared material side-effects
-    const newMat = mesh.material.clone ? mesh.material.clone() : mesh.material;
-    if(v === null){
-      // clear transparency -> fully opaque
-      newMat.transparent = false;
-      newMat.opacity = 1.0;
-      if(mesh.userData) delete mesh.userData.T;
-    } else {
-      newMat.transparent = v < 1.0;
-      newMat.opacity = v;
-      if(mesh.userData) mesh.userData.T = Math.round(v * 1000) / 1000;
-    }
-    // apply material
-    mesh.material = newMat;
+    runCommand('투명도 변경', ()=>{
+      for(const mesh of targets){
+        recordBlock(mesh);
+        // clone material to avoid shared material side-effects
+        const newMat = mesh.material.clone ? mesh.material.clone() : mesh.material;
+        if(v === null || v === 0){
+          // clear transparency -> fully opaque
+          applyTransparency(newMat, 0);
+          if(mesh.userData) delete mesh.userData.T;
+        } else {
+          applyTransparency(newMat, v);
+          if(mesh.userData) mesh.userData.T = Math.round(v * 1000) / 1000;
+        }
+        // apply material
+        mesh.material = newMat;
+      }
+    });
     // ensure update to JSON export
     updateJSON();
   }catch(e){}
-}
\ No newline at end of file
+}
@@ -0,0 +1,200 @@
+// src/exporters.js
+// glTF (.glb) and OBJ/MTL export of the placed blocks.
+// Only block meshes are exported (callers pass blocksGroup.children), so grow handles,
+// paint markers, clouds, the grid and the ground never end up in a file.
+// Geometry is rebuilt from each block's P/S/R rather than read from the live mesh, so a
+// block that is still playing its placement animation exports at its final size.
+// The editor ground sits at y = 1; exported files put it at y = 0.
+
+import * as THREE from "three";
+import { mergeGeometries } from "three/examples/jsm/utils/BufferGeometryUtils";
+import { GLTFExporter } from "three/examples/jsm/exporters/GLTFExporter";
+import { writeBoxUVs } from "./texcoords.js";
+
+const GROUND_Y = 1;
+
+function safeName(s){
+  return String(s).replace(/[^A-Za-z0-9_\-]+/g, '_');
+}
+
+// readable part of a file/material name; custom material names may have no ASCII at all
+function namePart(s){
+  return safeName(s).replace(/^_+|_+$/g, '') || 'Material';
+}
+
+// one export material per look: material name + baked color + opacity.
+// cache: { looks: key -> material, textures: texture -> file base name }. Names get a running
+// index, so looks and textures never collide whatever the display names are.
+function exportMaterialFor(mesh, cache, materials){
+  const ud = mesh.userData || {};
+  const live = mesh.material || {};
+  const def = ud.M && materials[ud.M] ? materials[ud.M] : null;
+  const tex = def && def.texture ? def.texture : null;
+  const rgb = ud.C ? ud.C.slice(0,3) : (tex ? [1,1,1] : [0.95,0.95,0.95]);
+  const color = new THREE.Color(rgb[0], rgb[1], rgb[2]);
+  const opacity = live.transparent ? (typeof live.opacity === 'number' ? live.opacity : 1) : 1;
+  const key = [ud.M || 'Plastic', color.getHexString(), Math.round(opacity * 1000)].join('|');
+  let mat = cache.looks.get(key);
+  if(!mat){
+    const preset = def && def.material ? def.material : null;
+    mat = new THREE.MeshStandardMaterial({
+      color,
+      map: tex || null,
+      normalMap: preset && preset.normalMap ? preset.normalMap : null,
+      normalScale: preset && preset.normalScale ? preset.normalScale.clone() : new THREE.Vector2(1, 1),
+      roughness: typeof live.roughness === 'number' ? live.roughness : 0.6,
+      metalness: typeof live.metalness === 'number' ? live.metalness : 0,
+      transparent: opacity < 1,
+      opacity
+    });
+    const alpha = opacity < 1 ? '_a' + Math.round(opacity * 100) : '';
+    mat.name = 'm' + (cache.looks.size + 1) + '_' + namePart(ud.M || 'Plastic') + '_' + color.getHexString().toUpperCase() + alpha;
+    if(tex){
+      if(!cache.textures.has(tex)) cache.textures.set(tex, 't' + (cache.textures.size + 1) + '_' + namePart(ud.M));
+      mat.userData.textureFile = cache.textures.get(tex);
+    }
+    cache.looks.set(key, mat);
+  }
+  return { key, material: mat };
+}
+
+// box for one block in local space, with the editor's world-space texture tiling (texcoords.js)
+function blockGeometry(mesh, gridUnit, materials){
+  const ud = mesh.userData || {};
+  const S = ud.S || [gridUnit, gridUnit, gridUnit];
+  const geo = new THREE.BoxGeometry(S[0], S[1], S[2]);
+  const def = ud.M ? materials[ud.M] : null;
+  writeBoxUVs(geo, ud.P || mesh.position.toArray(), def && def.textureScale > 0 ? def.textureScale : gridUnit);
+  return geo;
+}
+
+function blockMatrix(mesh){
+  const ud = mesh.userData || {};
+  const p = ud.P ? new THREE.Vector3().fromArray(ud.P) : mesh.position.clone();
+  p.y -= GROUND_Y;
+  return new THREE.Matrix4().compose(p, mesh.quaternion.clone(), new THREE.Vector3(1,1,1));
+}
+
+// Build a standalone group of export meshes.
+// opts: { materials (editor material table), gridUnit, merge (one mesh per material) }
+export function buildExportGroup(blockMeshes, opts){
+  const materials = opts.materials || {};
+  const gridUnit = opts.gridUnit || 1;
+  const group = new THREE.Group();
+  group.name = 'Blocks';
+  const cache = { looks: new Map(), textures: new Map() };
+  const byKey = new Map();
+  let n = 0;
+  for(const mesh of blockMeshes){
+    if(!mesh || !mesh.isMesh) continue;
+    const { key, material } = exportMaterialFor(mesh, cache, materials);
+    const geo = blockGeometry(mesh, gridUnit, materials);
+    const matrix = blockMatrix(mesh);
+    if(opts.merge){
+      geo.applyMatrix4(matrix);
+      if(!byKey.has(key)) byKey.set(key, { material, parts: [] });
+      byKey.get(key).parts.push(geo);
+    } else {
+      const out = new THREE.Mesh(geo, material);
+      out.name = 'Block_' + (++n);
+      matrix.decompose(out.position, out.quaternion, out.scale);
+      group.add(out);
+    }
+  }
+  for(const { material, parts } of byKey.values()){
+    const merged = mergeGeometries(parts, false);
+    parts.forEach(g => g.dispose());
+    if(!merged) continue;
+    const out = new THREE.Mesh(merged, material);
+    out.name = material.name;
+    group.add(out);
+  }
+  return group;
+}
+
+// binary glTF with textures embedded
+export function exportGLB(group){
+  return new GLTFExporter().parseAsync(group, { binary: true });
+}
+
+// OBJ + MTL text. Textures are referenced by file name (returned in `textures` with their
+// source URL so the caller can save them next to the .mtl).
+export function exportOBJ(group, baseName){
+  const mtlFile = baseName + '.mtl';
+  const obj = ['# P2B block export', 'mtllib ' + mtlFile];
+  const mtl = ['# P2B block export'];
+  const textures = new Map(); // file name -> url
+  const written = new Set();
+  let vOffset = 0, vtOffset = 0, vnOffset = 0;
+  const v = new THREE.Vector3();
+  const normalMatrix = new THREE.Matrix3();
+
+  group.updateMatrixWorld(true);
+  group.traverse(o => {
+    if(!o.isMesh) return;
+    const geo = o.geometry.index ? o.geometry.toNonIndexed() : o.geometry;
+    const pos = geo.getAttribute('position');
+    const nor = geo.getAttribute('normal');
+    const uv = geo.getAttribute('uv');
+    const mat = o.material;
+    normalMatrix.getNormalMatrix(o.matrixWorld);
+
+    if(!written.has(mat.name)){
+      written.add(mat.name);
+      const c = mat.color;
+      mtl.push('', 'newmtl ' + mat.name);
+      mtl.push(`Kd ${c.r.toFixed(4)} ${c.g.toFixed(4)} ${c.b.toFixed(4)}`);
+      mtl.push('Ks 0.0000 0.0000 0.0000');
+      mtl.push('d ' + (mat.transparent ? mat.opacity : 1).toFixed(3));
+      mtl.push('illum 2');
+      const src = mat.map && mat.map.image && mat.map.image.src;
+      if(src){
+        const ext = (/\.(png|jpe?g|webp)(?:\?|$)/i.exec(src) || [null, 'png'])[1].toLowerCase();
+        const file = (mat.userData.textureFile || namePart(mat.name)) + '.' + ext;
+        textures.set(file, src);
+        mtl.push('map_Kd ' + file);
+      }
+    }
+
+    obj.push('', 'o ' + safeName(o.name || 'Block'), 'usemtl ' + mat.name);
+    for(let i=0;i<pos.count;i++){
+      v.fromBufferAttribute(pos, i).applyMatrix4(o.matrixWorld);
+      obj.push(`v ${+v.x.toFixed(4)} ${+v.y.toFixed(4)} ${+v.z.toFixed(4)}`);
+    }
+    if(uv) for(let i=0;i<uv.count;i++) obj.push(`vt ${+uv.getX(i).toFixed(4)} ${+uv.getY(i).toFixed(4)}`);
+    if(nor) for(let i=0;i<nor.count;i++){
+      v.fromBufferAttribute(nor, i).applyMatrix3(normalMatrix).normalize();
+      obj.push(`vn ${+v.x.toFixed(4)} ${+v.y.toFixed(4)} ${+v.z.toFixed(4)}`);
+    }
+    for(let i=0;i<pos.count;i+=3){
+      const f = [];
+      for(let k=0;k<3;k++){
+        const a = i + k + 1;
+        f.push((vOffset + a) + '/' + (uv ? vtOffset + a : '') + '/' + (nor ? vnOffset + a : ''));
+      }
+      obj.push('f ' + f.join(' '));
+    }
+    vOffset += pos.count;
+    if(uv) vtOffset += uv.count;
+    if(nor) vnOffset += nor.count;
+    if(geo !== o.geometry) geo.dispose();
+  });
+
+  return {
+    obj: obj.join('\n') + '\n',
+    mtl: mtl.join('\n') + '\n',
+    textures: Array.from(textures, ([file, url]) => ({ file, url }))
+  };
+}
+
+// free the geometries/materials of a group built by buildExportGroup
+// (textures belong to the editor's material table and are kept)
+export function disposeExportGroup(group){
+  const mats = new Set();
+  group.traverse(o => {
+    if(!o.isMesh) return;
+    o.geometry.dispose();
+    mats.add(o.material);
+  });
+  mats.forEach(m => m.dispose());
+}
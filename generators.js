@@ -0,0 +1,190 @@
+// src/generators.js
+// Parametric shapes for the Generate panel: walls, floors, hollow rooms, spheres, cylinders,
+// pyramids and staircases, built from dimensions instead of single clicks.
+// Shapes come out as axis-aligned boxes ({ min:[x,y,z], max:[x,y,z] }, in studs) around a local
+// origin: the footprint is centered on x/z = 0 and the shape stands on y = 0. Box faces are whole
+// multiples of the block size, so a part's center can fall on a half stud. Flat-sided shapes
+// are made of a few large boxes; round ones are voxelized and merged with the part-count
+// optimizer so each row or slab becomes one part. DOM- and three.js-free.
+
+import { mergeBoxes } from "./optimize.js";
+
+// voxelized shapes beyond this many cells are refused (the merge would stall the page)
+export const MAX_GENERATOR_CELLS = 200000;
+
+// shape id -> { label, params: [{ key, label, type: 'int' | 'bool', default, min, max }] }
+// Dimensions are counted in blocks; `unit` is the block size in studs.
+export const GENERATOR_SHAPES = {
+  wall: { label: '벽', params: [
+    { key: 'length', label: '길이', type: 'int', default: 12, min: 1, max: 256 },
+    { key: 'height', label: '높이', type: 'int', default: 6, min: 1, max: 256 },
+    { key: 'thickness', label: '두께', type: 'int', default: 1, min: 1, max: 64 }
+  ]},
+  floor: { label: '바닥', params: [
+    { key: 'width', label: '너비', type: 'int', default: 12, min: 1, max: 256 },
+    { key: 'depth', label: '깊이', type: 'int', default: 12, min: 1, max: 256 },
+    { key: 'thickness', label: '두께', type: 'int', default: 1, min: 1, max: 64 }
+  ]},
+  room: { label: '빈 방', params: [
+    { key: 'width', label: '너비', type: 'int', default: 12, min: 3, max: 256 },
+    { key: 'depth', label: '깊이', type: 'int', default: 10, min: 3, max: 256 },
+    { key: 'height', label: '높이', type: 'int', default: 6, min: 2, max: 256 },
+    { key: 'thickness', label: '벽 두께', type: 'int', default: 1, min: 1, max: 16 },
+    { key: 'roof', label: '지붕', type: 'bool', default: true }
+  ]},
+  sphere: { label: '구', params: [
+    { key: 'radius', label: '반지름', type: 'int', default: 6, min: 1, max: 28 },
+    { key: 'hollow', label: '속 비우기', type: 'bool', default: false },
+    { key: 'thickness', label: '껍질 두께', type: 'int', default: 1, min: 1, max: 16 }
+  ]},
+  cylinder: { label: '원기둥', params: [
+    { key: 'radius', label: '반지름', type: 'int', default: 5, min: 1, max: 32 },
+    { key: 'height', label: '높이', type: 'int', default: 8, min: 1, max: 256 },
+    { key: 'hollow', label: '속 비우기', type: 'bool', default: false },
+    { key: 'thickness', label: '벽 두께', type: 'int', default: 1, min: 1, max: 16 }
+  ]},
+  pyramid: { label: '피라미드', params: [
+    { key: 'base', label: '밑변', type: 'int', default: 11, min: 1, max: 256 },
+    { key: 'hollow', label: '속 비우기', type: 'bool', default: false }
+  ]},
+  stairs: { label: '계단', params: [
+    { key: 'width', label: '너비', type: 'int', default: 4, min: 1, max: 256 },
+    { key: 'steps', label: '단 수', type: 'int', default: 8, min: 1, max: 256 },
+    { key: 'stepHeight', label: '단 높이', type: 'int', default: 1, min: 1, max: 16 },
+    { key: 'stepDepth', label: '단 깊이', type: 'int', default: 1, min: 1, max: 16 }
+  ]}
+};
+
+// params with missing or out-of-range values replaced by the shape's defaults / limits
+export function normalizeGeneratorParams(kind, params){
+  const shape = GENERATOR_SHAPES[kind];
+  const out = {};
+  if(!shape) return out;
+  for(const p of shape.params){
+    const v = params ? params[p.key] : undefined;
+    if(p.type === 'bool'){
+      out[p.key] = typeof v === 'boolean' ? v : p.default;
+    } else {
+      const n = Math.round(Number(v));
+      out[p.key] = Number.isFinite(n) ? Math.max(p.min, Math.min(p.max, n)) : p.default;
+    }
+  }
+  return out;
+}
+
+function box(x0, y0, z0, x1, y1, z1){
+  return { min: [x0, y0, z0], max: [x1, y1, z1] };
+}
+
+// hollow box: floor, four walls (front/back full width, sides between them) and optional roof
+function roomBoxes(p){
+  const { width: w, depth: d, height: h, roof } = p;
+  const t = Math.min(p.thickness, Math.floor((Math.min(w, d) - 1) / 2), h - 1);
+  const top = roof ? h - t : h;
+  const out = [box(0, 0, 0, w, t, d)];
+  if(top > t){
+    out.push(box(0, t, 0, w, top, t), box(0, t, d - t, w, top, d));
+    out.push(box(0, t, t, t, top, d - t), box(w - t, t, t, w, top, d - t));
+  }
+  if(roof) out.push(box(0, h - t, 0, w, h, d));
+  return out;
+}
+
+// step pyramid: one square layer per block of height, shrinking by one on every side
+function pyramidBoxes(p){
+  const out = [];
+  for(let k = 0; 2 * k < p.base; k++){
+    const side = p.base - 2 * k;
+    if(p.hollow && side > 2 && k > 0){
+      // only the ring of each layer; the base stays a full slab
+      out.push(box(k, k, k, k + side, k + 1, k + 1), box(k, k, k + side - 1, k + side, k + 1, k + side));
+      out.push(box(k, k, k + 1, k + 1, k + 1, k + side - 1), box(k + side - 1, k, k + 1, k + side, k + 1, k + side - 1));
+    } else {
+      out.push(box(k, k, k, k + side, k + 1, k + side));
+    }
+  }
+  return out;
+}
+
+// solid staircase rising along +z: every step is a column down to the ground
+function stairsBoxes(p){
+  const out = [];
+  for(let i = 0; i < p.steps; i++){
+    out.push(box(0, 0, i * p.stepDepth, p.width, (i + 1) * p.stepHeight, (i + 1) * p.stepDepth));
+  }
+  return out;
+}
+
+// unit cells [x,y,z] of round shapes, in blocks, with the shape's corner at 0
+function sphereCells(p){
+  const r = p.radius, n = 2 * r;
+  const inner = p.hollow ? Math.max(0, r - p.thickness) : -1;
+  const cells = [];
+  for(let x = 0; x < n; x++) for(let y = 0; y < n; y++) for(let z = 0; z < n; z++){
+    // distance from the sphere center to the cell center
+    const d = Math.hypot(x + 0.5 - r, y + 0.5 - r, z + 0.5 - r);
+    if(d <= r && d > inner) cells.push([x, y, z]);
+  }
+  return cells;
+}
+
+function cylinderCells(p){
+  const r = p.radius, n = 2 * r;
+  const inner = p.hollow ? Math.max(0, r - p.thickness) : -1;
+  const ring = [];
+  for(let x = 0; x < n; x++) for(let z = 0; z < n; z++){
+    const d = Math.hypot(x + 0.5 - r, z + 0.5 - r);
+    if(d <= r && d > inner) ring.push([x, z]);
+  }
+  const cells = [];
+  for(let y = 0; y < p.height; y++) for(const [x, z] of ring) cells.push([x, y, z]);
+  return cells;
+}
+
+// merged boxes covering the cells exactly
+function cellsToBoxes(cells){
+  return mergeBoxes(cells.map(([x, y, z]) => ({ ...box(x, y, z, x + 1, y + 1, z + 1), key: '', ref: null })))
+    .map(b => box(...b.min, ...b.max));
+}
+
+// bounding cell count of the voxelized shapes, checked before any cell is generated
+function cellVolume(kind, p){
+  if(kind === 'sphere') return Math.pow(2 * p.radius, 3);
+  if(kind === 'cylinder') return Math.pow(2 * p.radius, 2) * p.height;
+  return 0;
+}
+
+// rotate boxes by quarter turns around the vertical axis (x,z) -> (-z,x)
+function turnBoxes(boxes, turns){
+  let out = boxes;
+  for(let i = 0; i < ((turns % 4) + 4) % 4; i++){
+    out = out.map(b => box(-b.max[2], b.min[1], b.min[0], -b.min[2], b.max[1], b.max[0]));
+  }
+  return out;
+}
+
+// shape -> { boxes, size: [x,y,z] } in studs, or { error } (message in Korean)
+// opts: { unit: block size in studs (default 1), turns: quarter turns around Y }
+export function generateShape(kind, params, opts){
+  if(!GENERATOR_SHAPES[kind]) return { error: `알 수 없는 도형입니다 (${kind}).` };
+  const p = normalizeGeneratorParams(kind, params);
+  const unit = Math.max(1, Math.round((opts && opts.unit) || 1));
+  if(cellVolume(kind, p) > MAX_GENERATOR_CELLS) return { error: '도형이 너무 큽니다. 크기를 줄여 주세요.' };
+  let boxes;
+  if(kind === 'wall') boxes = [box(0, 0, 0, p.length, p.height, p.thickness)];
+  else if(kind === 'floor') boxes = [box(0, 0, 0, p.width, p.thickness, p.depth)];
+  else if(kind === 'room') boxes = roomBoxes(p);
+  else if(kind === 'pyramid') boxes = pyramidBoxes(p);
+  else if(kind === 'stairs') boxes = stairsBoxes(p);
+  else boxes = cellsToBoxes(kind === 'sphere' ? sphereCells(p) : cylinderCells(p));
+  boxes = turnBoxes(boxes, (opts && opts.turns) || 0);
+  // move the footprint's center onto the origin (on whole blocks) and scale to studs
+  const lo = [0, 1, 2].map(i => Math.min(...boxes.map(b => b.min[i])));
+  const hi = [0, 1, 2].map(i => Math.max(...boxes.map(b => b.max[i])));
+  const shift = [-lo[0] - Math.floor((hi[0] - lo[0]) / 2), -lo[1], -lo[2] - Math.floor((hi[2] - lo[2]) / 2)];
+  boxes = boxes.map(b => ({
+    min: b.min.map((v, i) => (v + shift[i]) * unit),
+    max: b.max.map((v, i) => (v + shift[i]) * unit)
+  }));
+  return { boxes, size: [0, 1, 2].map(i => (hi[i] - lo[i]) * unit) };
+}
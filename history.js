@@ -0,0 +1,117 @@
+// src/history.js
+// Command-based undo/redo stack for scene edits.
+// The stack itself knows nothing about three.js: the editor supplies callbacks to
+// snapshot a block before/after a change and to restore a block from a snapshot.
+
+export function createHistory(opts){
+  const limit = opts.limit || 200;
+  const undoStack = [];
+  const redoStack = [];
+
+  // open transaction (collects every block touched until the outermost commit)
+  let active = null;
+  let depth = 0;
+  // true while undo/redo replays snapshots, so restores are not recorded again
+  let replaying = false;
+
+  function notify(){
+    if(opts.onChange) opts.onChange(state());
+  }
+
+  function state(){
+    return {
+      canUndo: undoStack.length > 0,
+      canRedo: redoStack.length > 0,
+      undoLabel: undoStack.length ? undoStack[undoStack.length - 1].label : null,
+      redoLabel: redoStack.length ? redoStack[redoStack.length - 1].label : null
+    };
+  }
+
+  // start (or nest into) a transaction; only the outermost label is kept
+  function begin(label){
+    if(replaying) return;
+    if(depth === 0) active = { label: label || '', before: new Map(), order: [] };
+    depth++;
+  }
+
+  // remember the state of a block before it is changed.
+  // pass mesh = null for blocks that did not exist before this transaction.
+  function touch(uid, mesh){
+    if(!active || replaying || uid == null) return;
+    if(active.before.has(uid)) return;
+    active.before.set(uid, mesh ? opts.snapshot(mesh) : null);
+    active.order.push(uid);
+  }
+
+  // close a transaction; at the outermost level the collected changes become one command
+  function commit(){
+    if(replaying || depth === 0) return false;
+    depth--;
+    if(depth > 0) return false;
+    const tx = active;
+    active = null;
+    const entries = [];
+    for(const uid of tx.order){
+      const before = tx.before.get(uid);
+      const mesh = opts.find(uid);
+      const after = mesh ? opts.snapshot(mesh) : null;
+      // placed and removed within the same command -> nothing to record
+      if(!before && !after) continue;
+      entries.push({ uid, before, after });
+    }
+    if(!entries.length){
+      notify();
+      return false;
+    }
+    const cmd = { label: tx.label, entries };
+    undoStack.push(cmd);
+    if(undoStack.length > limit) undoStack.shift();
+    redoStack.length = 0;
+    if(opts.onCommit) opts.onCommit(cmd);
+    notify();
+    return true;
+  }
+
+  function replay(cmd, useBefore){
+    replaying = true;
+    try{
+      const list = useBefore ? cmd.entries.slice().reverse() : cmd.entries;
+      for(const e of list){
+        opts.restore(e.uid, useBefore ? e.before : e.after);
+      }
+    } finally {
+      replaying = false;
+    }
+    if(opts.onApply) opts.onApply(cmd);
+  }
+
+  function undo(){
+    if(depth > 0 || !undoStack.length) return false;
+    const cmd = undoStack.pop();
+    replay(cmd, true);
+    redoStack.push(cmd);
+    notify();
+    return true;
+  }
+
+  function redo(){
+    if(depth > 0 || !redoStack.length) return false;
+    const cmd = redoStack.pop();
+    replay(cmd, false);
+    undoStack.push(cmd);
+    notify();
+    return true;
+  }
+
+  function clear(){
+    undoStack.length = 0;
+    redoStack.length = 0;
+    notify();
+  }
+
+  return {
+    begin, touch, commit, undo, redo, clear, state,
+    isRecording: () => depth > 0,
+    isReplaying: () => replaying
+  };
+}
@@ -0,0 +1,78 @@
+// src/materiallib.js
+// Persistent library of user-added materials, kept in IndexedDB so custom textures survive
+// reloads. Each record holds the texture image as a Blob plus the material defaults:
+//   { name, image: Blob, roughness, metalness, transparency, textureScale }
+// (textureScale: studs per texture tile; missing in records saved before it was kept)
+// The library only stores records; the editor turns them into three.js materials.
+// Every method resolves (never rejects) when IndexedDB is unavailable, e.g. in private windows:
+// list() resolves to [] and put()/remove() resolve to false.
+
+const DB_NAME = 'p2b';
+const DB_VERSION = 1;
+const STORE = 'materials';
+
+export function createMaterialLibrary(){
+  let dbPromise = null;
+
+  function open(){
+    if(dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve)=>{
+      if(typeof indexedDB === 'undefined') return resolve(null);
+      let req;
+      try{
+        req = indexedDB.open(DB_NAME, DB_VERSION);
+      }catch(e){
+        return resolve(null);
+      }
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if(!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE, { keyPath: 'name' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+      req.onblocked = () => resolve(null);
+    });
+    return dbPromise;
+  }
+
+  async function withStore(mode, fn){
+    const db = await open();
+    if(!db) return null;
+    // resolve once the transaction has committed, not just when the request succeeded
+    return new Promise((resolve, reject)=>{
+      const tx = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // every stored record, ordered by name
+  async function list(){
+    try{
+      return (await withStore('readonly', s => s.getAll())) || [];
+    }catch(e){
+      return [];
+    }
+  }
+
+  // add or overwrite a record (keyed by name)
+  async function put(record){
+    try{
+      return (await withStore('readwrite', s => s.put(record))) !== null;
+    }catch(e){
+      return false;
+    }
+  }
+
+  async function remove(name){
+    try{
+      return (await withStore('readwrite', s => s.delete(name))) !== null;
+    }catch(e){
+      return false;
+    }
+  }
+
+  return { list, put, remove };
+}
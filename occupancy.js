@@ -0,0 +1,137 @@
+// src/occupancy.js
+// Grid-keyed spatial index of block bounding boxes.
+// Every block is registered in each grid cell its world AABB touches, so "what is here?"
+// questions only look at nearby blocks instead of scanning the whole scene.
+// The index knows nothing about three.js: the editor supplies boxOf(mesh) returning an
+// axis-aligned box ({ min:{x,y,z}, max:{x,y,z} }) in world units.
+
+// overlaps smaller than this (touching faces, float noise) do not count
+const EPS = 1e-3;
+// blocks spanning more cells than this are kept in a short list checked on every query
+const MAX_CELLS_PER_ENTRY = 4096;
+
+export function createOccupancy(opts){
+  const cellSize = opts.cellSize || 1;
+  const boxOf = opts.boxOf;
+  // "ix,iy,iz" -> Set of meshes
+  const cells = new Map();
+  // mesh -> { box, keys } (keys = null for oversized entries)
+  const entries = new Map();
+  const oversized = new Set();
+
+  function cellRange(box){
+    return {
+      x0: Math.floor((box.min.x + EPS) / cellSize), x1: Math.floor((box.max.x - EPS) / cellSize),
+      y0: Math.floor((box.min.y + EPS) / cellSize), y1: Math.floor((box.max.y - EPS) / cellSize),
+      z0: Math.floor((box.min.z + EPS) / cellSize), z1: Math.floor((box.max.z - EPS) / cellSize)
+    };
+  }
+
+  function cellCount(r){
+    return Math.max(0, r.x1 - r.x0 + 1) * Math.max(0, r.y1 - r.y0 + 1) * Math.max(0, r.z1 - r.z0 + 1);
+  }
+
+  function copyBox(box){
+    return {
+      min: { x: box.min.x, y: box.min.y, z: box.min.z },
+      max: { x: box.max.x, y: box.max.y, z: box.max.z }
+    };
+  }
+
+  // true when the two boxes share volume (faces that only touch don't overlap)
+  function overlaps(a, b){
+    return a.min.x < b.max.x - EPS && a.max.x > b.min.x + EPS &&
+           a.min.y < b.max.y - EPS && a.max.y > b.min.y + EPS &&
+           a.min.z < b.max.z - EPS && a.max.z > b.min.z + EPS;
+  }
+
+  function add(mesh){
+    if(!mesh) return;
+    if(entries.has(mesh)) remove(mesh);
+    const box = copyBox(boxOf(mesh));
+    const r = cellRange(box);
+    if(cellCount(r) > MAX_CELLS_PER_ENTRY){
+      oversized.add(mesh);
+      entries.set(mesh, { box, keys: null });
+      return;
+    }
+    const keys = [];
+    for(let x=r.x0; x<=r.x1; x++){
+      for(let y=r.y0; y<=r.y1; y++){
+        for(let z=r.z0; z<=r.z1; z++){
+          const key = x + ',' + y + ',' + z;
+          let set = cells.get(key);
+          if(!set){ set = new Set(); cells.set(key, set); }
+          set.add(mesh);
+          keys.push(key);
+        }
+      }
+    }
+    entries.set(mesh, { box, keys });
+  }
+
+  function remove(mesh){
+    const entry = entries.get(mesh);
+    if(!entry) return;
+    entries.delete(mesh);
+    if(!entry.keys){
+      oversized.delete(mesh);
+      return;
+    }
+    for(const key of entry.keys){
+      const set = cells.get(key);
+      if(!set) continue;
+      set.delete(mesh);
+      if(!set.size) cells.delete(key);
+    }
+  }
+
+  // re-register a block after its position, size or rotation changed (no-op for unknown meshes)
+  function update(mesh){
+    if(entries.has(mesh)) add(mesh);
+  }
+
+  function clear(){
+    cells.clear();
+    entries.clear();
+    oversized.clear();
+  }
+
+  // every indexed block whose box overlaps `box`; `exclude` (mesh or Set) is skipped
+  function query(box, exclude){
+    const found = [];
+    const seen = new Set();
+    const skip = (m) => exclude && (exclude === m || (exclude instanceof Set && exclude.has(m)));
+    const test = (m) => {
+      if(seen.has(m)) return;
+      seen.add(m);
+      if(skip(m)) return;
+      if(overlaps(entries.get(m).box, box)) found.push(m);
+    };
+    const r = cellRange(box);
+    if(cellCount(r) > cells.size){
+      // huge query box: walking the occupied cells is cheaper than walking the box
+      for(const m of entries.keys()) test(m);
+      return found;
+    }
+    for(let x=r.x0; x<=r.x1; x++){
+      for(let y=r.y0; y<=r.y1; y++){
+        for(let z=r.z0; z<=r.z1; z++){
+          const set = cells.get(x + ',' + y + ',' + z);
+          if(set) for(const m of set) test(m);
+        }
+      }
+    }
+    for(const m of oversized) test(m);
+    return found;
+  }
+
+  function isEmpty(box, exclude){
+    return query(box, exclude).length === 0;
+  }
+
+  return {
+    add, remove, update, clear, query, isEmpty, overlaps,
+    size: () => entries.size
+  };
+}
@@ -0,0 +1,100 @@
+// src/optimize.js
+// Part-count optimizer: greedily merges touching boxes that share the same properties.
+// Works on plain axis-aligned boxes ({ min:[x,y,z], max:[x,y,z], key, ref }) so it stays
+// independent of three.js; the editor decides what a "key" is (M/C/T/K/A/E) and what ref is.
+//
+// Two boxes are merged only when they have the same key, exactly the same cross-section on
+// the other two axes and touch along the third. The merged box is then exactly their union,
+// so repeated merging never adds or loses volume.
+
+const EPS = 1e-6;
+
+function near(a, b){
+  return Math.abs(a - b) < EPS;
+}
+
+function volume(b){
+  return (b.max[0] - b.min[0]) * (b.max[1] - b.min[1]) * (b.max[2] - b.min[2]);
+}
+
+// lookup key of a box's face on `axis` (side = 'min' | 'max') plus its cross-section
+function faceKey(b, axis, side){
+  const u = (axis + 1) % 3, v = (axis + 2) % 3;
+  return [b.key, axis, b[side][axis], b.min[u], b.max[u], b.min[v], b.max[v]].join('|');
+}
+
+// merge along one axis until no two boxes in the list can be joined on it
+function mergeAlong(boxes, axis){
+  // sort so chains are walked from their low end
+  const list = boxes.slice().sort((a, b) => a.min[axis] - b.min[axis]);
+  const byMinFace = new Map();
+  for(const b of list){
+    const k = faceKey(b, axis, 'min');
+    if(!byMinFace.has(k)) byMinFace.set(k, b);
+  }
+  const consumed = new Set();
+  const out = [];
+  for(const b of list){
+    if(consumed.has(b)) continue;
+    byMinFace.delete(faceKey(b, axis, 'min'));
+    // extend b through every box whose low face sits on b's high face
+    let next = byMinFace.get(faceKey(b, axis, 'max'));
+    while(next && !consumed.has(next)){
+      consumed.add(next);
+      byMinFace.delete(faceKey(next, axis, 'min'));
+      b.max = b.max.slice();
+      b.max[axis] = next.max[axis];
+      b.sources = b.sources.concat(next.sources);
+      next = byMinFace.get(faceKey(b, axis, 'max'));
+    }
+    out.push(b);
+  }
+  return out;
+}
+
+// boxes: [{ min, max, key, ref }] -> [{ min, max, key, sources: [ref...] }]
+// Rows along X are merged first, then sheets along Z, then stacks along Y; the passes repeat
+// until a full round merges nothing.
+export function mergeBoxes(boxes){
+  let list = boxes.map(b => ({
+    min: b.min.slice(0,3),
+    max: b.max.slice(0,3),
+    key: b.key,
+    sources: [b]
+  }));
+  for(;;){
+    const before = list.length;
+    for(const axis of [0, 2, 1]) list = mergeAlong(list, axis);
+    if(list.length === before) break;
+  }
+  return list.map(b => ({ min: b.min, max: b.max, key: b.key, sources: b.sources.map(s => s.ref) }));
+}
+
+// Check that every merged box is exactly the union of its sources: all sources lie inside it,
+// no two sources overlap, and their volumes add up to the box's volume.
+// `sourceBoxes` maps ref -> { min, max } of the original box.
+export function verifyMerge(merged, sourceBoxes){
+  for(const m of merged){
+    const parts = m.sources.map(ref => sourceBoxes.get(ref));
+    if(parts.some(p => !p)) return false;
+    let sum = 0;
+    for(const p of parts){
+      for(let i=0;i<3;i++){
+        if(p.min[i] < m.min[i] - EPS || p.max[i] > m.max[i] + EPS) return false;
+      }
+      sum += volume(p);
+    }
+    if(!near(sum, volume(m))) return false;
+    for(let i=0;i<parts.length;i++){
+      for(let j=i+1;j<parts.length;j++){
+        const a = parts[i], b = parts[j];
+        let overlap = true;
+        for(let k=0;k<3;k++){
+          if(a.min[k] >= b.max[k] - EPS || b.min[k] >= a.max[k] - EPS){ overlap = false; break; }
+        }
+        if(overlap) return false;
+      }
+    }
+  }
+  return true;
+}
@@ -0,0 +1,125 @@
+// src/project.js
+// Versioned project file envelope around the compact block list.
+//
+//   {
+//     "format": "p2b-project", "version": 1,
+//     "name": "...", "author": "...", "created": ISO time, "modified": ISO time,
+//     "grid": { "unit": 3, "yBaseline": 1 },
+//     "materials": { "<M name>": { "textureScale": studs per tile }, ... },
+//     "blocks": [ { P,S,C,M,E,T,K,A,R }, ... ]
+//   }
+//
+// materials holds per-material settings of the build (optional; older version 1 files have none),
+// so a build tiles the same in every browser.
+// grid.yBaseline states the Y convention of the block list: a block's P[1] is the editor's
+// center Y plus yBaseline (the editor ground sits at y = 1). Bare arrays from before the
+// envelope are version 0 and are upgraded by the migrations below, so old files keep loading
+// and future changes to the compact keys only need one more migration step.
+
+export const PROJECT_FORMAT = 'p2b-project';
+export const PROJECT_VERSION = 1;
+// the Y offset the bare-array export has always written (center Y + 1)
+export const LEGACY_Y_BASELINE = 1;
+
+// MIGRATIONS[n] upgrades a version n document to version n + 1
+const MIGRATIONS = [
+  // 0 -> 1: wrap a bare block array. Its export rounded center Y after adding the baseline,
+  // which leaves odd-height blocks half a unit high; block bottoms are whole numbers, so
+  // snap each one back down to recover the exact center.
+  (doc)=>{
+    const blocks = doc.blocks.map(b => {
+      if(!b || typeof b !== 'object' || !Array.isArray(b.P) || !Array.isArray(b.S)) return b;
+      const y = b.P[1], sy = b.S[1];
+      if(typeof y !== 'number' || typeof sy !== 'number') return b;
+      const bottom = Math.floor(y - LEGACY_Y_BASELINE - sy / 2 + 1e-6);
+      return Object.assign({}, b, { P: [b.P[0], bottom + sy / 2 + LEGACY_Y_BASELINE, b.P[2]] });
+    });
+    return {
+      format: PROJECT_FORMAT,
+      version: 1,
+      name: '',
+      author: '',
+      created: null,
+      modified: null,
+      grid: { unit: null, yBaseline: LEGACY_Y_BASELINE },
+      blocks
+    };
+  }
+];
+
+export function isProjectEnvelope(v){
+  return !!v && typeof v === 'object' && !Array.isArray(v) && v.format === PROJECT_FORMAT;
+}
+
+// upgrade a parsed file (bare array or envelope) to the current version.
+// returns { project, legacy } or { error } (message in Korean, shown to the user as is);
+// legacy is true for bare arrays, whose positions were written rounded to the grid
+export function migrateProject(parsed){
+  let doc;
+  if(Array.isArray(parsed)){
+    doc = { version: 0, blocks: parsed };
+  } else if(isProjectEnvelope(parsed)){
+    doc = parsed;
+  } else {
+    return { error: 'JSON은 블록 배열이거나 프로젝트 파일이어야 합니다.' };
+  }
+  const version = Number(doc.version);
+  if(!Number.isInteger(version) || version < 0){
+    return { error: `알 수 없는 프로젝트 버전입니다 (${JSON.stringify(doc.version)}).` };
+  }
+  if(version > PROJECT_VERSION){
+    return { error: `이 파일은 더 새로운 버전(${version})으로 저장되었습니다. 지원 버전: ${PROJECT_VERSION}.` };
+  }
+  if(!Array.isArray(doc.blocks)){
+    return { error: '프로젝트 파일에 blocks 배열이 없습니다.' };
+  }
+  for(let v = version; v < PROJECT_VERSION; v++){
+    doc = MIGRATIONS[v](doc);
+  }
+  const grid = doc.grid || {};
+  return {
+    legacy: version === 0,
+    project: {
+      format: PROJECT_FORMAT,
+      version: PROJECT_VERSION,
+      name: typeof doc.name === 'string' ? doc.name : '',
+      author: typeof doc.author === 'string' ? doc.author : '',
+      created: doc.created || null,
+      modified: doc.modified || null,
+      grid: {
+        unit: typeof grid.unit === 'number' ? grid.unit : null,
+        yBaseline: typeof grid.yBaseline === 'number' ? grid.yBaseline : LEGACY_Y_BASELINE
+      },
+      materials: normalizeMaterialSettings(doc.materials),
+      blocks: doc.blocks
+    }
+  };
+}
+
+// { name: { textureScale } } with unknown keys and invalid values dropped
+function normalizeMaterialSettings(value){
+  const out = {};
+  if(!value || typeof value !== 'object' || Array.isArray(value)) return out;
+  for(const name of Object.keys(value)){
+    const m = value[name];
+    if(m && typeof m.textureScale === 'number' && m.textureScale > 0) out[name] = { textureScale: m.textureScale };
+  }
+  return out;
+}
+
+// build a current-version envelope; meta = { name, author, created }, blocks use yBaseline,
+// materials (optional) = { name: { textureScale } }
+export function createProjectEnvelope(meta, blocks, grid, materials){
+  const now = new Date().toISOString();
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    name: (meta && meta.name) || '',
+    author: (meta && meta.author) || '',
+    created: (meta && meta.created) || now,
+    modified: now,
+    grid: { unit: grid.unit, yBaseline: grid.yBaseline },
+    materials: normalizeMaterialSettings(materials),
+    blocks
+  };
+}
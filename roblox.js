@@ -0,0 +1,208 @@
+// src/roblox.js
+// Roblox Studio model export: turns the compact block list (P,S,C,M,E,T,K,A,R) into an
+// .rbxmx XML file holding one Model of Parts that can be dropped straight into Studio, or into
+// a Luau script that rebuilds the same Parts with Instance.new.
+// DOM- and three.js-free; the caller passes the block list and its Y convention.
+
+// editor material names -> Enum.Material values (unknown names fall back to Plastic)
+export const ROBLOX_MATERIALS = {
+  Plastic: 256,
+  SmoothPlastic: 272,
+  Neon: 288,
+  Wood: 512,
+  WoodPlanks: 528,
+  Marble: 784,
+  Slate: 800,
+  Concrete: 816,
+  Granite: 832,
+  Brick: 848,
+  Pebble: 864,
+  Cobblestone: 880,
+  CorrodedMetal: 1040,
+  DiamondPlate: 1056,
+  Foil: 1072,
+  Metal: 1088,
+  Grass: 1280,
+  Sand: 1296,
+  Fabric: 1312,
+  Ice: 1536,
+  Glass: 1568
+};
+
+// the editor ground sits at y = 1; in Roblox the baseplate top is y = 0
+const EDITOR_GROUND_Y = 1;
+// color used for blocks without C (matches the editor's default block color)
+const DEFAULT_RGB = [0.95, 0.95, 0.95];
+
+function xmlEscape(s){
+  return String(s).replace(/[<>&'"]/g, c => ({ '<':'&lt;', '>':'&gt;', '&':'&amp;', "'":'&apos;', '"':'&quot;' }[c]));
+}
+
+function num(v){
+  // trim float noise but keep exact integers/halves as written
+  return String(Math.round(v * 10000) / 10000);
+}
+
+// rotation matrix rows for Euler XYZ degrees (same convention as three.js Euler 'XYZ')
+export function eulerToMatrix(R){
+  const [x, y, z] = (R || [0,0,0]).map(d => (Number(d) || 0) * Math.PI / 180);
+  const a = Math.cos(x), b = Math.sin(x);
+  const c = Math.cos(y), d = Math.sin(y);
+  const e = Math.cos(z), f = Math.sin(z);
+  const ae = a * e, af = a * f, be = b * e, bf = b * f;
+  return [
+    [c * e, -c * f, d],
+    [af + be * d, ae - bf * d, -b * c],
+    [bf - ae * d, be + af * d, a * c]
+  ];
+}
+
+// Color3uint8 is stored as 0xFFRRGGBB
+function color3uint8(rgb){
+  const [r, g, b] = rgb.map(v => Math.max(0, Math.min(255, Math.round(v * 255))));
+  return ((0xFF000000 | (r << 16) | (g << 8) | b) >>> 0);
+}
+
+// block -> Roblox Part properties (position in studs, Roblox Y)
+// opts.yBaseline: P[1] = editor center Y + yBaseline
+export function blockToPart(b, opts){
+  const yBaseline = (opts && typeof opts.yBaseline === 'number') ? opts.yBaseline : 0;
+  const P = b.P || [0,0,0];
+  const S = b.S || [1,1,1];
+  return {
+    position: [P[0], P[1] - yBaseline - EDITOR_GROUND_Y, P[2]],
+    size: S.slice(0,3),
+    rotation: eulerToMatrix(b.R),
+    color: (b.C || DEFAULT_RGB).slice(0,3),
+    material: ROBLOX_MATERIALS[b.M] || ROBLOX_MATERIALS.Plastic,
+    materialName: ROBLOX_MATERIALS[b.M] ? b.M : 'Plastic',
+    transparency: typeof b.T === 'number' ? b.T : 0,
+    canCollide: b.K !== false,
+    anchored: b.A !== false
+  };
+}
+
+function partXml(part, referent, name){
+  const [x, y, z] = part.position;
+  const m = part.rotation;
+  return [
+    `    <Item class="Part" referent="${referent}">`,
+    '      <Properties>',
+    `        <bool name="Anchored">${part.anchored}</bool>`,
+    `        <token name="BottomSurface">0</token>`,
+    `        <bool name="CanCollide">${part.canCollide}</bool>`,
+    '        <CoordinateFrame name="CFrame">',
+    `          <X>${num(x)}</X><Y>${num(y)}</Y><Z>${num(z)}</Z>`,
+    `          <R00>${num(m[0][0])}</R00><R01>${num(m[0][1])}</R01><R02>${num(m[0][2])}</R02>`,
+    `          <R10>${num(m[1][0])}</R10><R11>${num(m[1][1])}</R11><R12>${num(m[1][2])}</R12>`,
+    `          <R20>${num(m[2][0])}</R20><R21>${num(m[2][1])}</R21><R22>${num(m[2][2])}</R22>`,
+    '        </CoordinateFrame>',
+    `        <Color3uint8 name="Color3uint8">${color3uint8(part.color)}</Color3uint8>`,
+    `        <token name="Material">${part.material}</token>`,
+    `        <string name="Name">${xmlEscape(name)}</string>`,
+    `        <token name="TopSurface">0</token>`,
+    `        <float name="Transparency">${num(part.transparency)}</float>`,
+    `        <token name="shape">1</token>`,
+    '        <Vector3 name="size">',
+    `          <X>${num(part.size[0])}</X><Y>${num(part.size[1])}</Y><Z>${num(part.size[2])}</Z>`,
+    '        </Vector3>',
+    '      </Properties>',
+    '    </Item>'
+  ].join('\n');
+}
+
+// full .rbxmx document: one Model named opts.name containing a Part per block
+export function blocksToRbxmx(blocks, opts){
+  const name = (opts && opts.name) || 'P2B Build';
+  const items = (blocks || []).map((b, i) => partXml(blockToPart(b, opts), 'RBX' + (i + 1), 'Part'));
+  return [
+    '<roblox xmlns:xmime="http://www.w3.org/2005/05/xmlmime" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:noNamespaceSchemaLocation="http://www.roblox.com/roblox.xsd" version="4">',
+    '  <Item class="Model" referent="RBX0">',
+    '    <Properties>',
+    `      <string name="Name">${xmlEscape(name)}</string>`,
+    '    </Properties>',
+    ...items,
+    '  </Item>',
+    '</roblox>',
+    ''
+  ].join('\n');
+}
+
+// Luau has no size limit on tables, but Studio's script editor gets slow past ~200k characters
+export const LUA_SOURCE_SOFT_LIMIT = 200000;
+
+function luaString(s){
+  return '"' + String(s).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"';
+}
+
+// Self-contained Luau script that rebuilds the blocks with Instance.new("Part").
+// Materials and colors go into lookup tables and every block is one row of a data table,
+// so the script grows by a short line per part instead of a block of property assignments.
+// opts: { yBaseline, modelName } — with modelName the parts are grouped under a Model.
+export function blocksToLua(blocks, opts){
+  const list = blocks || [];
+  const modelName = opts && opts.modelName ? String(opts.modelName) : '';
+  const matIndex = new Map();
+  const colorIndex = new Map();
+  const rows = [];
+  for(const b of list){
+    const part = blockToPart(b, opts);
+    if(!matIndex.has(part.materialName)) matIndex.set(part.materialName, matIndex.size + 1);
+    const rgb = part.color.map(v => Math.max(0, Math.min(255, Math.round(v * 255))));
+    const ck = rgb.join(',');
+    if(!colorIndex.has(ck)) colorIndex.set(ck, colorIndex.size + 1);
+    // flags: 1 = not anchored, 2 = CanCollide off, 4 = editable
+    const flags = (part.anchored ? 0 : 1) | (part.canCollide ? 0 : 2) | (b.E === true ? 4 : 0);
+    const row = [
+      ...part.position, ...part.size,
+      colorIndex.get(ck), matIndex.get(part.materialName), part.transparency, flags
+    ].map(num);
+    if(Array.isArray(b.R) && b.R.some(v => Number(v))) row.push(...b.R.slice(0,3).map(v => num(Number(v) || 0)));
+    rows.push('\t{' + row.join(',') + '},');
+  }
+  const lines = [
+    `-- Generated by P2B: rebuilds ${list.length} part(s). Run in the command bar or a Script.`,
+    'local MATERIALS = {',
+    ...Array.from(matIndex.keys(), name => `\tEnum.Material.${name},`),
+    '}',
+    'local COLORS = {',
+    ...Array.from(colorIndex.keys(), rgb => `\tColor3.fromRGB(${rgb}),`),
+    '}',
+    '-- x, y, z, sizeX, sizeY, sizeZ, color, material, transparency, flags [, rotX, rotY, rotZ (degrees)]',
+    '-- flags: 1 = not anchored, 2 = CanCollide off, 4 = editable',
+    'local PARTS = {',
+    ...rows,
+    '}',
+    ''
+  ];
+  if(modelName){
+    lines.push('local parent = Instance.new("Model")', `parent.Name = ${luaString(modelName)}`);
+  } else {
+    lines.push('local parent = workspace');
+  }
+  lines.push(
+    'for _, p in ipairs(PARTS) do',
+    '\tlocal part = Instance.new("Part")',
+    '\tpart.Anchored = bit32.band(p[10], 1) == 0',
+    '\tpart.CanCollide = bit32.band(p[10], 2) == 0',
+    '\tpart.Size = Vector3.new(p[4], p[5], p[6])',
+    '\tlocal cf = CFrame.new(p[1], p[2], p[3])',
+    '\tif p[11] then',
+    '\t\tcf = cf * CFrame.Angles(math.rad(p[11]), math.rad(p[12]), math.rad(p[13]))',
+    '\tend',
+    '\tpart.CFrame = cf',
+    '\tpart.Color = COLORS[p[7]]',
+    '\tpart.Material = MATERIALS[p[8]]',
+    '\tpart.Transparency = p[9]',
+    '\tpart.TopSurface = Enum.SurfaceType.Smooth',
+    '\tpart.BottomSurface = Enum.SurfaceType.Smooth',
+    '\tif bit32.band(p[10], 4) ~= 0 then',
+    '\t\tpart:SetAttribute("Editable", true)',
+    '\tend',
+    '\tpart.Parent = parent',
+    'end'
+  );
+  // parent the finished model once so Studio doesn't replicate every part separately
+  if(modelName) lines.push('parent.Parent = workspace');
+  return lines.join('\n') + '\n';
+}
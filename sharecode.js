@@ -0,0 +1,228 @@
+// src/sharecode.js
+// Share codes: the compact block list packed into a small binary form, deflated and written as
+// base64url text ("p2b1.<data>"), short enough to paste into chat or carry in the URL hash
+// (#b=<code>). A CRC32 of the packed bytes is stored with them so a damaged code is rejected
+// instead of loading a half-broken build.
+//
+// Packed layout (all integers are LEB128 varints, signed ones zigzag-encoded):
+//   u8 layout version, signed yBaseline*1000, name (len + utf8),
+//   material table (count, then len + utf8 each), block count, then per block:
+//   u8 flags, signed P delta from the previous block (*1000), S (whole units),
+//   [C as 3 bytes] [material index] [T*1000] [signed R*1000 x3]
+//   followed by the CRC32 (big-endian) of everything before it.
+// Colors are kept at 8 bits per channel, which is what the color picker produces anyway.
+//
+// Decoded blocks go through normalizeImportedArray, like any other import.
+
+import { normalizeImportedArray } from "./blockjson.js";
+
+export const SHARE_CODE_PREFIX = 'p2b1.';
+// key of the share code in the page URL hash (#b=<code>)
+export const SHARE_HASH_KEY = 'b';
+
+const LAYOUT_VERSION = 1;
+
+const F_COLOR = 1, F_MATERIAL = 2, F_EDITABLE = 4, F_NO_COLLIDE = 8, F_UNANCHORED = 16, F_TRANSPARENCY = 32, F_ROTATION = 64;
+
+const CRC_TABLE = (()=>{
+  const t = new Uint32Array(256);
+  for(let n=0;n<256;n++){
+    let c = n;
+    for(let k=0;k<8;k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+export function crc32(bytes){
+  let c = 0xFFFFFFFF;
+  for(let i=0;i<bytes.length;i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+function createWriter(){
+  const bytes = [];
+  const w = {
+    u8(v){ bytes.push(v & 0xFF); },
+    uint(v){
+      v = Math.max(0, Math.round(v));
+      while(v >= 0x80){ bytes.push((v % 0x80) | 0x80); v = Math.floor(v / 0x80); }
+      bytes.push(v);
+    },
+    int(v){
+      v = Math.round(v);
+      w.uint(v < 0 ? -2 * v - 1 : 2 * v);
+    },
+    str(s){
+      const b = new TextEncoder().encode(String(s));
+      w.uint(b.length);
+      for(const x of b) bytes.push(x);
+    },
+    bytes(){ return Uint8Array.from(bytes); }
+  };
+  return w;
+}
+
+// reads past the end throw, which decodeShareCode reports as a damaged code
+function createReader(bytes){
+  let pos = 0;
+  const r = {
+    u8(){
+      if(pos >= bytes.length) throw new RangeError('unexpected end of data');
+      return bytes[pos++];
+    },
+    uint(){
+      let v = 0, mul = 1;
+      for(;;){
+        const b = r.u8();
+        v += (b & 0x7F) * mul;
+        if(!(b & 0x80)) return v;
+        mul *= 0x80;
+        if(mul > Number.MAX_SAFE_INTEGER) throw new RangeError('varint too long');
+      }
+    },
+    int(){
+      const u = r.uint();
+      return (u % 2) ? -(u + 1) / 2 : u / 2;
+    },
+    str(){
+      const n = r.uint();
+      if(pos + n > bytes.length) throw new RangeError('unexpected end of data');
+      const s = new TextDecoder().decode(bytes.subarray(pos, pos + n));
+      pos += n;
+      return s;
+    },
+    done(){ return pos === bytes.length; }
+  };
+  return r;
+}
+
+function pack(blocks, opts){
+  const w = createWriter();
+  w.u8(LAYOUT_VERSION);
+  w.int(((opts && opts.yBaseline) || 0) * 1000);
+  w.str((opts && opts.name) || '');
+  const materials = [];
+  const matIndex = new Map();
+  for(const b of blocks){
+    if(b.M && !matIndex.has(b.M)){ matIndex.set(b.M, materials.length); materials.push(b.M); }
+  }
+  w.uint(materials.length);
+  materials.forEach(m => w.str(m));
+  w.uint(blocks.length);
+  let prev = [0, 0, 0];
+  for(const b of blocks){
+    const hasR = Array.isArray(b.R) && b.R.some(v => Number(v));
+    const flags = (b.C ? F_COLOR : 0) | (b.M ? F_MATERIAL : 0) | (b.E === true ? F_EDITABLE : 0)
+      | (b.K === false ? F_NO_COLLIDE : 0) | (b.A === false ? F_UNANCHORED : 0)
+      | (typeof b.T === 'number' ? F_TRANSPARENCY : 0) | (hasR ? F_ROTATION : 0);
+    w.u8(flags);
+    const p = b.P.slice(0,3).map(v => Math.round(v * 1000));
+    for(let i=0;i<3;i++) w.int(p[i] - prev[i]);
+    prev = p;
+    b.S.slice(0,3).forEach(v => w.uint(v));
+    if(flags & F_COLOR) b.C.slice(0,3).forEach(v => w.u8(Math.max(0, Math.min(255, Math.round(v * 255)))));
+    if(flags & F_MATERIAL) w.uint(matIndex.get(b.M));
+    if(flags & F_TRANSPARENCY) w.uint(b.T * 1000);
+    if(flags & F_ROTATION) for(let i=0;i<3;i++) w.int((Number(b.R[i]) || 0) * 1000);
+  }
+  const body = w.bytes();
+  const crc = crc32(body);
+  const out = new Uint8Array(body.length + 4);
+  out.set(body);
+  out[body.length] = crc >>> 24;
+  out[body.length + 1] = (crc >>> 16) & 0xFF;
+  out[body.length + 2] = (crc >>> 8) & 0xFF;
+  out[body.length + 3] = crc & 0xFF;
+  return out;
+}
+
+function unpack(bytes){
+  if(bytes.length < 5) throw new RangeError('too short');
+  const body = bytes.subarray(0, bytes.length - 4);
+  const t = bytes.subarray(bytes.length - 4);
+  const crc = ((t[0] << 24) | (t[1] << 16) | (t[2] << 8) | t[3]) >>> 0;
+  if(crc32(body) !== crc) return { error: '공유 코드가 손상되었습니다 (체크섬 불일치).' };
+  const r = createReader(body);
+  const version = r.u8();
+  if(version !== LAYOUT_VERSION) return { error: `지원하지 않는 공유 코드 버전입니다 (${version}).` };
+  const yBaseline = r.int() / 1000;
+  const name = r.str();
+  const materials = [];
+  for(let i = r.uint(); i > 0; i--) materials.push(r.str());
+  const count = r.uint();
+  const blocks = [];
+  let prev = [0, 0, 0];
+  for(let n=0;n<count;n++){
+    const flags = r.u8();
+    const p = prev.map(v => v + r.int());
+    prev = p;
+    const b = { P: p.map(v => v / 1000), S: [r.uint(), r.uint(), r.uint()] };
+    if(flags & F_COLOR) b.C = [r.u8(), r.u8(), r.u8()].map(v => Math.round(v / 255 * 10000) / 10000);
+    if(flags & F_MATERIAL){
+      const m = materials[r.uint()];
+      if(m === undefined) throw new RangeError('bad material index');
+      b.M = m;
+    }
+    if(flags & F_EDITABLE) b.E = true;
+    if(flags & F_NO_COLLIDE) b.K = false;
+    if(flags & F_UNANCHORED) b.A = false;
+    if(flags & F_TRANSPARENCY) b.T = r.uint() / 1000;
+    if(flags & F_ROTATION) b.R = [r.int(), r.int(), r.int()].map(v => v / 1000);
+    blocks.push(b);
+  }
+  if(!r.done()) throw new RangeError('trailing data');
+  return { blocks, yBaseline, name };
+}
+
+async function runStream(bytes, stream){
+  const piped = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(piped).arrayBuffer());
+}
+
+function toBase64Url(bytes){
+  let bin = '';
+  for(let i=0;i<bytes.length;i+=0x8000) bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text){
+  const b64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const bin = atob(b64 + '='.repeat((4 - b64.length % 4) % 4));
+  const out = new Uint8Array(bin.length);
+  for(let i=0;i<bin.length;i++) out[i] = bin.charCodeAt(i);
+  return out;
+}
+
+export function isShareCode(text){
+  return typeof text === 'string' && text.trim().startsWith(SHARE_CODE_PREFIX);
+}
+
+// compact block list -> share code text. opts: { yBaseline, name }
+export async function encodeShareCode(blocks, opts){
+  const packed = pack(blocks || [], opts);
+  return SHARE_CODE_PREFIX + toBase64Url(await runStream(packed, new CompressionStream('deflate-raw')));
+}
+
+// share code text -> { blocks (normalized), yBaseline, name } or { error } (message in Korean)
+export async function decodeShareCode(text){
+  const code = String(text || '').trim();
+  if(!code.startsWith(SHARE_CODE_PREFIX)) return { error: '공유 코드가 아닙니다.' };
+  const data = code.slice(SHARE_CODE_PREFIX.length).replace(/\s+/g, '');
+  if(!/^[A-Za-z0-9_-]+$/.test(data)) return { error: '공유 코드에 잘못된 문자가 있습니다.' };
+  let res;
+  try{
+    res = unpack(await runStream(fromBase64Url(data), new DecompressionStream('deflate-raw')));
+  }catch(e){
+    return { error: '공유 코드가 손상되었습니다.' };
+  }
+  if(res.error) return res;
+  return { blocks: normalizeImportedArray(res.blocks), yBaseline: res.yBaseline, name: res.name };
+}
+
+// share code carried in a URL hash ("#b=<code>"), or null
+export function shareCodeFromHash(hash){
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  const v = params.get(SHARE_HASH_KEY);
+  return v ? (v.startsWith(SHARE_CODE_PREFIX) ? v : SHARE_CODE_PREFIX + v) : null;
+}
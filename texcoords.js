@@ -0,0 +1,37 @@
+// src/texcoords.js
+// World-space texture coordinates for block boxes. Each face takes its uvs from its own two
+// axes measured in studs, so one texture tile covers the same number of studs on every face of
+// every block, whatever the block's size. The uvs start from the block's position rather than
+// its corner, so neighbouring blocks continue each other's pattern (brick courses line up).
+// Rotated blocks keep the tile density; their pattern is not aligned with their neighbours'.
+
+// Rewrite the uvs of a box geometry (BoxGeometry layout: one quad per face, local space).
+// origin: [x,y,z] added to the local vertex positions (the block center)
+// tileSize: studs covered by one texture tile
+export function writeBoxUVs(geometry, origin, tileSize){
+  const pos = geometry.getAttribute('position');
+  const nor = geometry.getAttribute('normal');
+  const uv = geometry.getAttribute('uv');
+  if(!pos || !nor || !uv) return;
+  const o = origin || [0, 0, 0];
+  const k = 1 / (tileSize > 0 ? tileSize : 1);
+  for(let i=0;i<pos.count;i++){
+    const x = pos.getX(i) + o[0], y = pos.getY(i) + o[1], z = pos.getZ(i) + o[2];
+    const nx = nor.getX(i), ny = nor.getY(i), nz = nor.getZ(i);
+    const ax = Math.abs(nx), ay = Math.abs(ny), az = Math.abs(nz);
+    let u, v;
+    // same orientation as BoxGeometry's own uvs, so textures are not mirrored
+    if(ax >= ay && ax >= az){
+      u = nx > 0 ? -z : z;
+      v = y;
+    } else if(ay >= az){
+      u = x;
+      v = ny > 0 ? -z : z;
+    } else {
+      u = nz > 0 ? x : -x;
+      v = y;
+    }
+    uv.setXY(i, u * k, v * k);
+  }
+  uv.needsUpdate = true;
+}
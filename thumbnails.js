@@ -0,0 +1,55 @@
+// src/thumbnails.js
+// Material panel thumbnails rendered with the real block materials, so roughness, metalness,
+// normal maps and transparency show in the panel the way they look on placed blocks.
+// Uses its own small renderer (render targets cannot be shared between WebGL contexts), with
+// lights matching the editor scene and a room environment for reflections.
+
+import * as THREE from "three";
+import { RoomEnvironment } from "three/examples/jsm/environments/RoomEnvironment";
+
+export function createMaterialThumbnailer(opts){
+  const width = (opts && opts.width) || 112;
+  const height = (opts && opts.height) || 80;
+  let renderer = null, scene = null, camera = null, cube = null;
+
+  function init(){
+    const canvas = document.createElement('canvas');
+    renderer = new THREE.WebGLRenderer({ canvas, antialias: true, alpha: true, preserveDrawingBuffer: true });
+    renderer.setPixelRatio(1);
+    renderer.setSize(width, height, false);
+    scene = new THREE.Scene();
+    const pmrem = new THREE.PMREMGenerator(renderer);
+    scene.environment = pmrem.fromScene(new RoomEnvironment(), 0.04).texture;
+    pmrem.dispose();
+    scene.add(new THREE.HemisphereLight(0xE6F6FF, 0x444444, 1.3));
+    const dir = new THREE.DirectionalLight(0xE8F7FF, 0.9);
+    dir.position.set(5, 10, 7.5);
+    scene.add(dir);
+    scene.add(new THREE.AmbientLight(0xE8F7FF, 0.14));
+    camera = new THREE.PerspectiveCamera(30, width / height, 0.1, 20);
+    camera.position.set(2.4, 1.8, 2.4);
+    camera.lookAt(0, 0, 0);
+    cube = new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1));
+    scene.add(cube);
+  }
+
+  // data URL of a cube drawn with `material` (cloned; the caller's material is not touched).
+  // transparency: Roblox Transparency to preview (0 = opaque)
+  function render(material, transparency){
+    if(!renderer) init();
+    const mat = material.clone();
+    // the material's env map lives in the editor's WebGL context; use this scene's environment
+    mat.envMap = null;
+    if(transparency > 0){
+      mat.transparent = true;
+      mat.opacity = 1 - transparency;
+    }
+    cube.material = mat;
+    renderer.render(scene, camera);
+    const url = renderer.domElement.toDataURL('image/png');
+    mat.dispose();
+    return url;
+  }
+
+  return { render };
+}
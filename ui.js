@@ -2,6 +2,13 @@
 // Wires DOM controls to editor functions. Keeps UI-specific behavior separate.
 
 import * as THREE from "three";
+import { parseJsonWithLocation, validateImportedArray, normalizeImportedArray, validEntries } from "./blockjson.js";
+import { migrateProject, isProjectEnvelope, createProjectEnvelope } from "./project.js";
+import { buildExportGroup, exportGLB, exportOBJ, disposeExportGroup } from "./exporters.js";
+import { blocksToRbxmx, blocksToLua, LUA_SOURCE_SOFT_LIMIT } from "./roblox.js";
+import { createMaterialLibrary } from "./materiallib.js";
+import { encodeShareCode, decodeShareCode, isShareCode, shareCodeFromHash, SHARE_HASH_KEY } from "./sharecode.js";
+import { GENERATOR_SHAPES, generateShape } from "./generators.js";
 
 export function wireUI(editor){
   // editor is an object with functions/refs exported from editor module
@@ -15,7 +22,7 @@ export function wireUI(editor){
     {name:'회색', rgb:[0.6,0.6,0.6]}
   ];
 
-  // MATERIALS list derived from editor.materials keys
+  // MATERIALS list derived from editor.materials keys (custom materials are added as they load)
   const MATERIAL_NAMES = Object.keys(editor.materials || {});
 
   // Build material icons into #materialsList
@@ -48,13 +55,87 @@ export function wireUI(editor){
       msg.style.padding = '6px 2px';
       msg.textContent = '점을 당겨서 블록을 늘릴수있습니다.';
       resPanel.appendChild(msg);
+      // variant row: clone copies along the axis vs stretching the block itself
+      const modeRow = document.createElement('div');
+      modeRow.className = 'row';
+      modeRow.style.justifyContent = 'center';
+      const cloneBtn = document.createElement('button');
+      cloneBtn.type = 'button';
+      cloneBtn.textContent = '복제';
+      cloneBtn.title = '당긴 방향으로 같은 블록을 이어서 설치';
+      const stretchBtn = document.createElement('button');
+      stretchBtn.type = 'button';
+      stretchBtn.textContent = '늘리기';
+      stretchBtn.title = '블록 자체의 크기를 한 칸 단위로 변경 (반대쪽 면은 고정)';
+      modeRow.append(cloneBtn, stretchBtn);
+      resPanel.appendChild(modeRow);
+      const setVariant = (v)=>{
+        editor.setRescaleVariant(v);
+        const stretch = editor.getRescaleVariant() === 'stretch';
+        cloneBtn.className = stretch ? 'smallBtn alt' : 'smallBtn';
+        stretchBtn.className = stretch ? 'smallBtn' : 'smallBtn alt';
+      };
+      cloneBtn.addEventListener('click', ()=> setVariant('clone'));
+      stretchBtn.addEventListener('click', ()=> setVariant('stretch'));
+      setVariant(editor.getRescaleVariant());
+      // region fill: mark blocks by dragging over them, then confirm or cancel the preview
+      const fillMsg = document.createElement('div');
+      fillMsg.style.fontSize = '13px';
+      fillMsg.style.color = 'var(--muted)';
+      fillMsg.style.padding = '6px 2px';
+      fillMsg.textContent = '블록 위를 드래그해 표시하면 표시한 영역을 첫 블록과 같은 블록으로 채웁니다.';
+      resPanel.appendChild(fillMsg);
+      const fillRow = document.createElement('div');
+      fillRow.className = 'row';
+      fillRow.style.justifyContent = 'center';
+      fillRow.style.display = 'none';
+      const fillOk = document.createElement('button');
+      fillOk.type = 'button';
+      fillOk.className = 'smallBtn';
+      fillOk.textContent = '채우기 (Enter)';
+      const fillCancel = document.createElement('button');
+      fillCancel.type = 'button';
+      fillCancel.className = 'smallBtn alt';
+      fillCancel.textContent = '취소 (Esc)';
+      fillRow.append(fillOk, fillCancel);
+      resPanel.appendChild(fillRow);
+      fillOk.addEventListener('click', ()=> editor.confirmRegionFill());
+      fillCancel.addEventListener('click', ()=> editor.cancelRegionFill());
+      window.addEventListener('fill:preview', (e)=>{
+        const d = (e && e.detail) || {};
+        fillRow.style.display = d.count > 0 ? '' : 'none';
+        if(d.count > 0) fillMsg.textContent = `블록 ${d.count}개를 채웁니다. 확인하시겠습니까?`;
+        else if(d.tooLarge) fillMsg.textContent = `채울 영역이 너무 큽니다 (최대 ${d.max}개).`;
+        else fillMsg.textContent = '블록 위를 드래그해 표시하면 표시한 영역을 첫 블록과 같은 블록으로 채웁니다.';
+      });
       // insert at top so instruction is visible
       panelsRoot.insertBefore(resPanel, panelsRoot.firstChild);
     }
   })();
+  // Move tool instruction panel (hidden by default)
+  (function ensureMovePanel(){
+    const panelsRoot = document.getElementById('panels');
+    if(!panelsRoot || document.getElementById('movePanel')) return;
+    const movePanel = document.createElement('section');
+    movePanel.id = 'movePanel';
+    movePanel.className = 'panel hidden';
+    movePanel.dataset.area = 'move';
+    const label = document.createElement('label');
+    label.className = 'panelTitle';
+    label.textContent = '이동 툴';
+    movePanel.appendChild(label);
+    const msg = document.createElement('div');
+    msg.style.fontSize = '13px';
+    msg.style.color = 'var(--muted)';
+    msg.style.padding = '6px 2px';
+    msg.textContent = '블록을 선택한 뒤 빨강(X) · 초록(Y) · 파랑(Z) 화살표를 끌어서 이동하세요.';
+    movePanel.appendChild(msg);
+    panelsRoot.insertBefore(movePanel, panelsRoot.firstChild);
+  })();
   // --- end tabs creation ---
 
-  MATERIAL_NAMES.forEach(name=>{
+  // iconSrc: image for custom materials (their texture may still be loading)
+  function addMaterialIcon(name, iconSrc){
     const wrapper = document.createElement('button');
     wrapper.type = 'button';
     wrapper.className = 'mat-icon';
@@ -64,7 +145,11 @@ export function wireUI(editor){
     // find texture path (editor.materials[name].texture.image?.src may not be ready immediately),
     // use a best-effort src if available, otherwise a placeholder neutral square.
     const tex = editor.materials[name] && editor.materials[name].texture;
-    img.src = (tex && tex.image && tex.image.src) ? tex.image.src : '/플라스틱 (2).png';
+    img.src = iconSrc || ((tex && tex.image && tex.image.src) ? tex.image.src : '/플라스틱 (2).png');
+    // swap in a rendered preview once the material's textures are ready
+    if(editor.materialThumbnail){
+      editor.materialThumbnail(name).then(url => { if(url) img.src = url; }).catch(()=>{});
+    }
     img.alt = name;
     wrapper.appendChild(img);
 
@@ -80,47 +165,166 @@ export function wireUI(editor){
       wrapper.classList.add('selected');
       selectedMaterial = name;
       if(editor.setSelectedMaterial) editor.setSelectedMaterial(name);
+      refreshTextureScale();
 
-      // If a block is currently selected, apply the chosen material to it immediately
+      // Apply the chosen material to every selected block immediately
       try{
-        const sel = editor.selectedMeshRef && editor.selectedMeshRef();
-        if(sel){
-          // dispose old material safely
-          if(sel.material){
-            try{ sel.material.dispose && sel.material.dispose(); }catch(e){}
-          }
-          // If material has a texture/material defined use a clone of that material,
-          // otherwise apply current color override as a simple MeshStandardMaterial.
-          const matDef = editor.materials && editor.materials[name];
-          if(matDef && matDef.material){
-            sel.material = matDef.material.clone();
-            // if there's a current color override, tint the cloned material
-            const colOverride = editor.getCurrentColorOverride && editor.getCurrentColorOverride();
-            if(colOverride && sel.material.color){
-              sel.material.color.copy(new THREE.Color(colOverride[0], colOverride[1], colOverride[2]));
-              try{ sel.material.emissive = new THREE.Color(colOverride[0], colOverride[1], colOverride[2]); sel.material.emissiveIntensity = 0.06; }catch(e){}
-            }
-            // store the material's emissive as the original emissive so highlight restore is accurate
-            try { sel.userData._origEmissive = sel.material.emissive.clone(); } catch(e){}
-            sel.userData.M = name;
-            sel.userData.C = sel.userData.C && sel.userData.C.length ? sel.userData.C : null;
-          } else {
-            // No texture material -> use current color override (or default)
-            const useCol = editor.getCurrentColorOverride ? editor.getCurrentColorOverride() : [0.95,0.95,0.95];
-            sel.material = new THREE.MeshStandardMaterial({ color: new THREE.Color(useCol[0], useCol[1], useCol[2]), roughness:0.6 });
-            try{ sel.material.emissive = new THREE.Color(useCol[0], useCol[1], useCol[2]); sel.material.emissiveIntensity = 0.06; }catch(e){}
-            // store original emissive for later highlight restore
-            try { sel.userData._origEmissive = sel.material.emissive.clone(); } catch(e){}
-            sel.userData.M = null;
-            sel.userData.C = useCol.slice(0,3).map(v=>Math.round(v*1000)/1000);
-          }
-          if(editor.updateJSON) editor.updateJSON();
-        }
+        const sel = editor.selectedMeshesRef ? editor.selectedMeshesRef() : [];
+        if(sel.length && editor.applyMaterialToBlocks) editor.applyMaterialToBlocks(sel, name);
       }catch(e){}
     });
 
     matList.appendChild(wrapper);
+    return wrapper;
+  }
+  MATERIAL_NAMES.forEach(name => addMaterialIcon(name));
+
+  // reflect a material picked from a block (eyedropper); null clears the icon selection
+  function showPickedMaterial(name){
+    document.querySelectorAll('.mat-icon').forEach(s=>s.classList.remove('selected'));
+    const icon = name ? matList.querySelector(`.mat-icon[data-name="${CSS.escape(name)}"]`) : null;
+    if(icon) icon.classList.add('selected');
+    selectedMaterial = icon ? name : null;
+    refreshTextureScale();
+  }
+
+  // per-material texture scale (studs per tile), remembered in localStorage as { name: studs };
+  // custom materials also keep it in their library record, and project files carry the scales
+  // of the materials their blocks use
+  const textureScaleInput = document.getElementById('textureScaleInput');
+  const textureScaleLabel = document.getElementById('textureScaleLabel');
+  const storedTextureScales = (function(){
+    try{ return JSON.parse(localStorage.getItem('textureScales') || '{}') || {}; }catch(e){ return {}; }
+  })();
+  function applyStoredTextureScale(name){
+    const v = storedTextureScales[name];
+    if(typeof v === 'number' && v > 0 && editor.setMaterialTextureScale) editor.setMaterialTextureScale(name, v);
+  }
+  MATERIAL_NAMES.forEach(applyStoredTextureScale);
+  function refreshTextureScale(){
+    if(!textureScaleInput) return;
+    const def = selectedMaterial && editor.materials[selectedMaterial];
+    // color-only materials have no texture to scale
+    const textured = !!(def && def.texture);
+    textureScaleInput.disabled = !textured;
+    if(textured && editor.getMaterialTextureScale) textureScaleInput.value = String(editor.getMaterialTextureScale(selectedMaterial));
+    if(textureScaleLabel) textureScaleLabel.textContent = textured ? `스터드/타일 (${selectedMaterial})` : '스터드/타일 (재질을 선택하세요)';
+  }
+  // set and persist a material's scale; false when the material is unknown or v is invalid
+  function setTextureScale(name, v){
+    if(!name || !(v > 0) || !editor.setMaterialTextureScale || !editor.setMaterialTextureScale(name, v)) return false;
+    storedTextureScales[name] = v;
+    try{ localStorage.setItem('textureScales', JSON.stringify(storedTextureScales)); }catch(e){}
+    const record = customMaterialRecords.get(name);
+    if(record && record.textureScale !== v){
+      record.textureScale = v;
+      materialLibrary.put(record);
+    }
+    return true;
+  }
+  textureScaleInput && textureScaleInput.addEventListener('change', ()=>{
+    const v = Math.round((parseFloat(textureScaleInput.value) || 0) * 2) / 2;
+    setTextureScale(selectedMaterial, v);
+    refreshTextureScale();
   });
+  // { name: { textureScale } } for the textured materials the placed blocks use
+  function projectMaterialSettings(blocks){
+    const out = {};
+    for(const b of blocks){
+      const def = b.M && editor.materials[b.M];
+      if(def && def.texture && !out[b.M]) out[b.M] = { textureScale: editor.getMaterialTextureScale(b.M) };
+    }
+    return out;
+  }
+
+  // custom materials: registered in the editor and persisted in IndexedDB (see materiallib.js)
+  const materialLibrary = createMaterialLibrary();
+  const customMaterialUrls = new Map(); // name -> object URL of the stored image
+  const customMaterialRecords = new Map(); // name -> library record
+  function registerCustomMaterial(record){
+    const url = URL.createObjectURL(record.image);
+    const def = editor.registerCustomMaterial && editor.registerCustomMaterial({
+      name: record.name,
+      imageUrl: url,
+      roughness: record.roughness,
+      metalness: record.metalness,
+      transparency: record.transparency,
+      textureScale: record.textureScale
+    });
+    if(!def){
+      URL.revokeObjectURL(url);
+      return false;
+    }
+    const old = matList.querySelector(`.mat-icon[data-name="${CSS.escape(record.name)}"]`);
+    if(old) old.remove();
+    if(customMaterialUrls.has(record.name)) URL.revokeObjectURL(customMaterialUrls.get(record.name));
+    customMaterialUrls.set(record.name, url);
+    customMaterialRecords.set(record.name, record);
+    // records saved before the scale was stored fall back to this browser's setting
+    if(!(record.textureScale > 0)) applyStoredTextureScale(record.name);
+    const icon = addMaterialIcon(record.name, url);
+    const del = document.createElement('span');
+    del.textContent = '×';
+    del.title = '재질 삭제';
+    del.style.cssText = 'align-self:flex-end;margin-top:-4px;font-size:14px;line-height:1;color:var(--muted)';
+    del.addEventListener('click', async (ev)=>{
+      ev.stopPropagation();
+      if(!confirm(`"${record.name}" 재질을 삭제할까요? 이미 배치된 블록은 그대로 남습니다.`)) return;
+      await materialLibrary.remove(record.name);
+      if(editor.unregisterCustomMaterial) editor.unregisterCustomMaterial(record.name);
+      URL.revokeObjectURL(url);
+      customMaterialUrls.delete(record.name);
+      customMaterialRecords.delete(record.name);
+      if(selectedMaterial === record.name) selectedMaterial = null;
+      icon.remove();
+      refreshTextureScale();
+    });
+    icon.insertBefore(del, icon.firstChild);
+    return true;
+  }
+  // resolves once stored materials are registered, so imports can resolve their M names
+  const customMaterialsReady = materialLibrary.list().then(records => records.forEach(registerCustomMaterial));
+
+  (function wireAddMaterialForm(){
+    const addBtn = document.getElementById('addMaterialBtn');
+    const form = document.getElementById('addMaterialForm');
+    if(!addBtn || !form) return;
+    const nameInput = document.getElementById('customMatName');
+    const imageInput = document.getElementById('customMatImage');
+    const roughnessInput = document.getElementById('customMatRoughness');
+    const metalnessInput = document.getElementById('customMatMetalness');
+    const transparencyInput = document.getElementById('customMatTransparency');
+    const msg = document.getElementById('customMatMsg');
+    function showForm(on){
+      form.style.display = on ? 'flex' : 'none';
+      addBtn.style.display = on ? 'none' : '';
+      msg.textContent = '';
+    }
+    addBtn.addEventListener('click', ()=> showForm(true));
+    document.getElementById('customMatCancelBtn').addEventListener('click', ()=> showForm(false));
+    document.getElementById('customMatSaveBtn').addEventListener('click', async ()=>{
+      const name = nameInput.value.trim();
+      const file = imageInput.files && imageInput.files[0];
+      if(!name){ msg.textContent = '이름을 입력하세요.'; return; }
+      if(editor.materials[name] && !editor.materials[name].custom){ msg.textContent = '기본 재질과 같은 이름은 쓸 수 없습니다.'; return; }
+      if(!file){ msg.textContent = '이미지를 선택하세요.'; return; }
+      if(editor.materials[name] && !confirm(`"${name}" 재질을 덮어쓸까요?`)) return;
+      const record = {
+        name,
+        image: file,
+        roughness: parseFloat(roughnessInput.value) || 0,
+        metalness: parseFloat(metalnessInput.value) || 0,
+        transparency: parseFloat(transparencyInput.value) || 0
+      };
+      if(!registerCustomMaterial(record)){ msg.textContent = '재질을 등록하지 못했습니다.'; return; }
+      const saved = await materialLibrary.put(record);
+      nameInput.value = '';
+      imageInput.value = '';
+      showForm(false);
+      // the material still works for this session when storage is unavailable
+      if(!saved) alert('브라우저 저장소를 사용할 수 없어 새로고침하면 이 재질이 사라집니다.');
+    });
+  })();
 
   // Theme wiring
   // theme toggle now lives in settings panel
@@ -143,6 +347,18 @@ export function wireUI(editor){
   applyTheme(stored === null || stored === '1');
   themeBtn && themeBtn.addEventListener('click', ()=> applyTheme(!document.body.classList.contains('light')));
 
+  // Allow-overlap wiring (설정 panel checkbox); off by default so overlapping placement is rejected
+  const allowOverlapToggle = document.getElementById('allowOverlapToggle');
+  if(allowOverlapToggle && editor.setAllowOverlap){
+    const storedOverlap = (function(){ try{ return localStorage.getItem('allowOverlap'); }catch(e){return null;} })();
+    allowOverlapToggle.checked = storedOverlap === '1';
+    editor.setAllowOverlap(allowOverlapToggle.checked);
+    allowOverlapToggle.addEventListener('change', ()=>{
+      editor.setAllowOverlap(allowOverlapToggle.checked);
+      try{ localStorage.setItem('allowOverlap', allowOverlapToggle.checked ? '1' : '0'); }catch(e){}
+    });
+  }
+
   // Grid mode wiring (설정 panel radios)
   const gridRadios = Array.from(document.querySelectorAll('input[name="gridMode"]'));
   function setGridModeFromUI(mode){
@@ -164,6 +380,14 @@ export function wireUI(editor){
   let customColorHex = '#FFFFFF';
   let useCustom = false;
 
+  // recolor the whole selection in one undoable step
+  function applyColorToSelection(rgb){
+    try{
+      const sel = editor.selectedMeshesRef ? editor.selectedMeshesRef() : [];
+      if(sel.length && editor.paintBlocks) editor.paintBlocks(sel, rgb);
+    }catch(e){}
+  }
+
   COLORS.forEach((c,i)=>{
     const el = document.createElement("div");
     el.className = "color-swatch" + (i===selectedColorIdx ? " selected" : "");
@@ -178,23 +402,8 @@ export function wireUI(editor){
       document.getElementById('customColor').value = editor.rgbToHex(c.rgb);
       if(editor.setCurrentColorOverride) editor.setCurrentColorOverride(c.rgb);
 
-      // If a block is selected, apply this color to it immediately
-      try{
-        const sel = editor.selectedMeshRef && editor.selectedMeshRef();
-        if(sel){
-          if(sel.material){
-            try{ sel.material.dispose && sel.material.dispose(); }catch(e){}
-          }
-          const col = new THREE.Color(c.rgb[0], c.rgb[1], c.rgb[2]);
-          sel.material = new THREE.MeshStandardMaterial({ color: col.clone(), roughness:0.6, metalness:0.0 });
-          try{ sel.material.emissive = col.clone(); sel.material.emissiveIntensity = 0.06; }catch(e){}
-          // store original emissive so deselect/restore doesn't leave a faded look
-          try { sel.userData._origEmissive = sel.material.emissive.clone(); } catch(e){}
-          sel.userData.C = c.rgb.slice(0,3).map(v=>Math.round(v*1000)/1000);
-          sel.userData.M = null;
-          if(editor.updateJSON) editor.updateJSON();
-        }
-      }catch(e){}
+      // Apply this color to every selected block immediately
+      applyColorToSelection(c.rgb);
     });
     colorsEl.appendChild(el);
   });
@@ -239,16 +448,17 @@ export function wireUI(editor){
       const hex = customHexInput.value.replace('#','');
       const rgb = hexToRgbNorm(hex);
       if(editor.setCurrentColorOverride) editor.setCurrentColorOverride(rgb);
-      // apply to selected block immediately
-      try{ const sel = editor.selectedMeshRef && editor.selectedMeshRef(); if(sel){ if(sel.material) try{ sel.material.dispose && sel.material.dispose(); }catch(e){} sel.material = new THREE.MeshStandardMaterial({ color: new THREE.Color(rgb[0],rgb[1],rgb[2]) }); try{ sel.material.emissive = new THREE.Color(rgb[0],rgb[1],rgb[2]); sel.material.emissiveIntensity = 0.06; }catch(e){} sel.userData.C = rgb.slice(0,3).map(v=>Math.round(v*1000)/1000); sel.userData.M = null; if(editor.updateJSON) editor.updateJSON(); } }catch(e){}
+      // apply to selected blocks immediately
+      applyColorToSelection(rgb);
     });
     // add at start of colors container so custom appears first
     colorsEl.insertBefore(customSwatchEl, colorsEl.firstChild);
     return customSwatchEl;
   }
 
-  // update custom swatch visuals & apply color immediately whenever inputs change
-  function applyCustomHex(hex){
+  // update custom swatch visuals and the placement color; with commit the selected blocks are
+  // recolored too (the picker commits once on release, not on every drag step)
+  function applyCustomHex(hex, commit){
     if(!hex) return;
     if(!hex.startsWith('#')) hex = '#'+hex;
     // validate
@@ -267,32 +477,24 @@ export function wireUI(editor){
     sw.classList.add('selected');
     selectedColorIdx = -1;
     useCustom = true;
-    // apply to any selected block immediately
-    try{
-      const sel = editor.selectedMeshRef && editor.selectedMeshRef();
-      if(sel){
-        if(sel.material) try{ sel.material.dispose && sel.material.dispose(); }catch(e){}
-        const col = new THREE.Color(rgb[0], rgb[1], rgb[2]);
-        sel.material = new THREE.MeshStandardMaterial({ color: col.clone(), roughness:0.6, metalness:0.0 });
-        try{ sel.material.emissive = col.clone(); sel.material.emissiveIntensity = 0.06; }catch(e){}
-        try { sel.userData._origEmissive = sel.material.emissive.clone(); } catch(e){}
-        sel.userData.C = rgb.slice(0,3).map(v=>Math.round(v*1000)/1000);
-        sel.userData.M = null;
-        if(editor.updateJSON) editor.updateJSON();
-      }
-    }catch(e){}
+    // apply to any selected blocks as one undoable step
+    if(commit) applyColorToSelection(rgb);
   }
 
-  // wire inputs to apply immediately
+  // the picker previews on the swatch while dragging and recolors the selection on release
   customColorInput.addEventListener('input', (e)=>{
     const v = (e.target.value||'').toUpperCase();
-    applyCustomHex(v);
+    applyCustomHex(v, false);
+  });
+  customColorInput.addEventListener('change', (e)=>{
+    const v = (e.target.value||'').toUpperCase();
+    applyCustomHex(v, true);
   });
   customHexInput.addEventListener('change', (e)=>{
     let v = e.target.value.trim();
     if(!v.startsWith('#')) v = '#'+v;
     if(/^#([0-9A-Fa-f]{3}|[0-9A-Fa-f]{6})$/.test(v)){
-      applyCustomHex(v.toUpperCase());
+      applyCustomHex(v.toUpperCase(), true);
     } else {
       // revert to last valid
       e.target.value = customColorHex;
@@ -302,9 +504,84 @@ export function wireUI(editor){
   // keep the existing Apply button for explicit UX but make it call same behavior (backwards-compatible)
   useCustomBtn.addEventListener('click', ()=>{
     const hex = customHexInput.value || customColorInput.value || customColorHex;
-    applyCustomHex(hex);
+    applyCustomHex(hex, true);
   });
 
+  // reflect a color picked from a block (eyedropper) without recoloring the selection:
+  // a palette color selects its swatch, anything else goes into the custom swatch
+  function showPickedColor(rgb){
+    document.querySelectorAll(".color-swatch").forEach(s=>s.classList.remove("selected"));
+    if(!rgb) return;
+    const hex = editor.rgbToHex(rgb).toUpperCase();
+    const idx = COLORS.findIndex(c => editor.rgbToHex(c.rgb).toUpperCase() === hex);
+    customColorInput.value = hex;
+    customHexInput.value = hex;
+    if(idx >= 0){
+      const el = colorsEl.querySelectorAll('.color-swatch:not(#custom-swatch)')[idx];
+      if(el) el.classList.add('selected');
+      selectedColorIdx = idx;
+      useCustom = false;
+      return;
+    }
+    customColorHex = hex;
+    const sw = ensureCustomSwatch();
+    sw.style.background = hex;
+    sw.classList.add('selected');
+    selectedColorIdx = -1;
+    useCustom = true;
+  }
+
+  // bucket fill controls, one row in the Paint and Material panels sharing the editor's options
+  const bucketRows = [];
+  function syncBucketRows(){
+    const o = editor.getBucketOptions ? editor.getBucketOptions() : null;
+    if(!o) return;
+    bucketRows.forEach(r=>{
+      r.toggle.checked = o.enabled;
+      r.layer.checked = o.sameLayer;
+      r.match.value = o.match;
+      r.layer.disabled = r.match.disabled = !o.enabled;
+    });
+  }
+  function createBucketRow(panelId, text){
+    const panel = document.getElementById(panelId);
+    if(!panel || !editor.setBucketOptions) return;
+    const row = document.createElement('div');
+    row.className = 'row';
+    row.style.marginTop = '8px';
+    row.style.flexWrap = 'wrap';
+    const check = (label)=>{
+      const wrap = document.createElement('label');
+      wrap.style.display = 'flex';
+      wrap.style.alignItems = 'center';
+      wrap.style.gap = '6px';
+      const cb = document.createElement('input');
+      cb.type = 'checkbox';
+      wrap.append(cb, document.createTextNode(label));
+      row.appendChild(wrap);
+      return cb;
+    };
+    const toggle = check(text);
+    toggle.title = '블록을 클릭하면 같은 색상·재질로 면이 맞닿아 이어진 블록을 한 번에 바꿉니다.';
+    const layer = check('같은 층만');
+    const match = document.createElement('select');
+    [['both', '색상+재질 일치'], ['color', '색상만 일치'], ['material', '재질만 일치']].forEach(([value, label])=>{
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = label;
+      match.appendChild(opt);
+    });
+    row.appendChild(match);
+    toggle.addEventListener('change', ()=>{ editor.setBucketOptions({ enabled: toggle.checked }); syncBucketRows(); });
+    layer.addEventListener('change', ()=>{ editor.setBucketOptions({ sameLayer: layer.checked }); syncBucketRows(); });
+    match.addEventListener('change', ()=>{ editor.setBucketOptions({ match: match.value }); syncBucketRows(); });
+    panel.appendChild(row);
+    bucketRows.push({ toggle, layer, match });
+  }
+  createBucketRow('colorsPanel', '채우기 (버킷)');
+  createBucketRow('materialsPanel', '채우기 (버킷)');
+  syncBucketRows();
+
   // (Transparency controls removed)
 
   // size, remove, clear, copy JSON
@@ -320,26 +597,11 @@ export function wireUI(editor){
   jsonOut.value = editor.updateJSON ? (function(){ editor.updateJSON(); return document.getElementById("jsonOut").value; })() : jsonOut.value;
 
   removeBtn.addEventListener("click", ()=>{
-    const sel = editor.selectedMeshRef();
-    if(sel){
-      editor.blocksGroup.remove(sel);
-      sel.geometry.dispose();
-      if(sel.material) sel.material.dispose();
-      editor.setSelected(null);
-      editor.removeGrowHandles();
-      editor.updateJSON();
-    }
+    const sel = editor.selectedMeshesRef();
+    if(sel.length) editor.removeBlocks(sel);
   });
   clearBtn.addEventListener("click", ()=>{
-    while(editor.blocksGroup.children.length) {
-      const c = editor.blocksGroup.children[0];
-      editor.blocksGroup.remove(c);
-      c.geometry.dispose();
-      if(c.material) c.material.dispose();
-    }
-    editor.setSelected(null);
-    editor.removeGrowHandles();
-    editor.updateJSON();
+    editor.clearBlocks();
     // refresh editable JSON area
     jsonOut.value = document.getElementById("jsonOut").value;
   });
@@ -352,16 +614,75 @@ export function wireUI(editor){
     }catch(e){}
   });
 
-  // NEW: Download JSON as .txt
+  // Roblox script that rebuilds the build with Instance.new (paste into the command bar or a Script)
+  const copyLuaBtn = document.getElementById("copyLuaBtn");
+  copyLuaBtn && copyLuaBtn.addEventListener("click", async ()=>{
+    const modelToggle = document.getElementById('luaModelToggle');
+    const lua = blocksToLua(editor.exportBlocks({ exact: true }), {
+      yBaseline: editor.JSON_Y_BASELINE,
+      modelName: (!modelToggle || modelToggle.checked) ? (projectMeta.name || 'P2B Build') : ''
+    });
+    try{
+      await navigator.clipboard.writeText(lua);
+      copyLuaBtn.textContent = lua.length > LUA_SOURCE_SOFT_LIMIT ? "복사됨 (스크립트가 큼)" : "복사됨!";
+      setTimeout(()=>copyLuaBtn.textContent="Lua 복사",lua.length > LUA_SOURCE_SOFT_LIMIT ? 2000 : 900);
+    }catch(e){}
+  });
+
+  // share codes (see sharecode.js): the code alone, or a link that opens the page with it in the hash
+  async function currentShareCode(){
+    return encodeShareCode(editor.exportBlocks({ exact: true }), { yBaseline: editor.JSON_Y_BASELINE, name: projectMeta.name });
+  }
+  function shareLinkFor(code){
+    return location.href.replace(/#.*$/, '') + '#' + SHARE_HASH_KEY + '=' + code;
+  }
+  const copyShareCodeBtn = document.getElementById("copyShareCodeBtn");
+  copyShareCodeBtn && copyShareCodeBtn.addEventListener("click", async ()=>{
+    try{
+      await navigator.clipboard.writeText(await currentShareCode());
+      copyShareCodeBtn.textContent = "복사됨!";
+      setTimeout(()=>copyShareCodeBtn.textContent="공유 코드 복사",900);
+    }catch(e){}
+  });
+  const copyShareLinkBtn = document.getElementById("copyShareLinkBtn");
+  copyShareLinkBtn && copyShareLinkBtn.addEventListener("click", async ()=>{
+    try{
+      const link = shareLinkFor(await currentShareCode());
+      // keep the address bar in sync without adding a history entry
+      history.replaceState(null, '', link);
+      await navigator.clipboard.writeText(link);
+      copyShareLinkBtn.textContent = "복사됨!";
+      setTimeout(()=>copyShareLinkBtn.textContent="공유 링크 복사",900);
+    }catch(e){}
+  });
+
+  // project metadata (name / author inputs in the JSON panel; created time comes from the loaded file)
+  const projectNameInput = document.getElementById('projectName');
+  const projectAuthorInput = document.getElementById('projectAuthor');
+  const projectMeta = { name: '', author: '', created: null };
+  projectNameInput && projectNameInput.addEventListener('input', ()=>{ projectMeta.name = projectNameInput.value.trim(); });
+  projectAuthorInput && projectAuthorInput.addEventListener('input', ()=>{ projectMeta.author = projectAuthorInput.value.trim(); });
+  function setProjectMeta(project){
+    projectMeta.name = project.name || '';
+    projectMeta.author = project.author || '';
+    projectMeta.created = project.created || null;
+    if(projectNameInput) projectNameInput.value = projectMeta.name;
+    if(projectAuthorInput) projectAuthorInput.value = projectMeta.author;
+  }
+
+  // NEW: Download the scene as a versioned project file (see project.js)
   const downloadBtn = document.getElementById('downloadJsonBtn');
   if(downloadBtn){
     downloadBtn.addEventListener('click', ()=>{
-      const data = jsonOut.value || '';
-      const blob = new Blob([data], { type: 'text/plain;charset=utf-8' });
+      const blocks = editor.exportBlocks({ exact: true });
+      const envelope = createProjectEnvelope(projectMeta, blocks, { unit: editor.GRID_UNIT, yBaseline: editor.JSON_Y_BASELINE }, projectMaterialSettings(blocks));
+      projectMeta.created = envelope.created;
+      const data = JSON.stringify(envelope, null, 2);
+      const blob = new Blob([data], { type: 'application/json;charset=utf-8' });
       const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = 'blocks.json.txt';
+      a.download = exportBaseName() + '.p2b.json';
       document.body.appendChild(a);
       a.click();
       a.remove();
@@ -371,6 +692,88 @@ export function wireUI(editor){
     });
   }
 
+  // Optimize: merge touching identical blocks and report the part count before -> after
+  const optimizeBtn = document.getElementById('optimizeBtn');
+  if(optimizeBtn && editor.optimizeBlocks){
+    optimizeBtn.addEventListener('click', ()=>{
+      const res = editor.optimizeBlocks();
+      jsonOut.value = document.getElementById("jsonOut").value;
+      optimizeBtn.textContent = (res.after < res.before) ? `${res.before} → ${res.after}개` : "합칠 블록 없음";
+      setTimeout(()=>optimizeBtn.textContent="최적화",1800);
+    });
+  }
+
+  // glTF / OBJ export of the placed blocks (optionally merged into one mesh per material)
+  function downloadBlob(blob, fileName){
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(()=>URL.revokeObjectURL(url), 0);
+  }
+  // project name as a filesystem-safe file name
+  function exportBaseName(){
+    return (projectMeta.name || 'blocks').replace(/[\\/:*?"<>|]+/g, '_');
+  }
+  function buildExport(){
+    const mergeToggle = document.getElementById('exportMergeToggle');
+    return buildExportGroup(editor.blocksGroup.children, {
+      materials: editor.materials,
+      gridUnit: editor.GRID_UNIT,
+      merge: !!(mergeToggle && mergeToggle.checked)
+    });
+  }
+  const exportGlbBtn = document.getElementById('exportGlbBtn');
+  exportGlbBtn && exportGlbBtn.addEventListener('click', async ()=>{
+    const group = buildExport();
+    try{
+      const glb = await exportGLB(group);
+      downloadBlob(new Blob([glb], { type: 'model/gltf-binary' }), exportBaseName() + '.glb');
+      exportGlbBtn.textContent = "내보냄";
+    }catch(e){
+      exportGlbBtn.textContent = "내보내기 실패";
+    }finally{
+      disposeExportGroup(group);
+      setTimeout(()=>exportGlbBtn.textContent="glTF (.glb) 내보내기",1200);
+    }
+  });
+  const exportObjBtn = document.getElementById('exportObjBtn');
+  exportObjBtn && exportObjBtn.addEventListener('click', async ()=>{
+    const group = buildExport();
+    const base = exportBaseName();
+    try{
+      const out = exportOBJ(group, base);
+      downloadBlob(new Blob([out.obj], { type: 'text/plain;charset=utf-8' }), base + '.obj');
+      downloadBlob(new Blob([out.mtl], { type: 'text/plain;charset=utf-8' }), base + '.mtl');
+      // textures referenced by map_Kd are saved next to the .mtl
+      for(const t of out.textures){
+        const res = await fetch(t.url);
+        if(res.ok) downloadBlob(await res.blob(), t.file);
+      }
+      exportObjBtn.textContent = "내보냄";
+    }catch(e){
+      exportObjBtn.textContent = "내보내기 실패";
+    }finally{
+      disposeExportGroup(group);
+      setTimeout(()=>exportObjBtn.textContent="OBJ 내보내기",1200);
+    }
+  });
+
+  // Roblox Studio model (.rbxmx): a Model of Parts built from the exact block list
+  const exportRbxmxBtn = document.getElementById('exportRbxmxBtn');
+  exportRbxmxBtn && exportRbxmxBtn.addEventListener('click', ()=>{
+    const xml = blocksToRbxmx(editor.exportBlocks({ exact: true }), {
+      yBaseline: editor.JSON_Y_BASELINE,
+      name: projectMeta.name || 'P2B Build'
+    });
+    downloadBlob(new Blob([xml], { type: 'application/xml;charset=utf-8' }), exportBaseName() + '.rbxmx');
+    exportRbxmxBtn.textContent = "내보냄";
+    setTimeout(()=>exportRbxmxBtn.textContent="Roblox (.rbxmx) 내보내기",1200);
+  });
+
   // NEW: Upload JSON from .txt or .json file
   const uploadInput = document.getElementById('uploadJsonInput');
   if(uploadInput){
@@ -380,16 +783,17 @@ export function wireUI(editor){
       try{
         const text = await f.text();
         // Try to parse to provide quick feedback; if parse fails, still place raw into textarea for user edit
-        try{
-          const parsed = JSON.parse(text);
-          // Normalize imported JSON (accept Position/Size/Color/Anchored/CanCollide/Transparency/Editable/Material)
-          const normalized = normalizeImportedArray(parsed);
-          // pretty-print normalized for clarity
-          jsonOut.value = JSON.stringify(normalized);
-        }catch(e){
-          // if it's not valid JSON, place raw text so user can edit/correct
+        const res = parseJsonWithLocation(text);
+        // project files stay as they are (metadata is read on apply); bare arrays are normalized
+        const problems = (res.error || isProjectEnvelope(res.value)) ? null : validateImportedArray(res.value);
+        if(problems && !problems.length){
+          // Normalize imported JSON (accept Position/Size/Color/Anchored/CanCollide/Transparency/Editable/Material/Rotation)
+          jsonOut.value = JSON.stringify(normalizeImportedArray(res.value));
+        } else {
+          // invalid JSON or bad entries: place raw text so the user can review it with "JSON 적용"
           jsonOut.value = text;
         }
+        hideJsonReport();
         // small visual feedback
         uploadInput.value = '';
       }catch(e){}
@@ -397,169 +801,254 @@ export function wireUI(editor){
   }
 
   // Apply user-edited JSON into scene
-
-  // --- NEW: normalize imported JSON to engine-compact keys (only on import) ---
-  function normalizeImportedArray(arr){
-    if(!Array.isArray(arr)) return [];
-    const out = [];
-    arr.forEach(blockData=>{
-      if(!blockData || typeof blockData !== 'object') return;
-      // POSITION
-      const posT = blockData.P || blockData.Position || blockData.Pos;
-      if(!posT) return;
-      const px = (typeof posT[0] === 'number') ? posT[0] : (posT.X || 0);
-      const py = (typeof posT[1] === 'number') ? posT[1] : (posT.Y || 0);
-      const pz = (typeof posT[2] === 'number') ? posT[2] : (posT.Z || 0);
-
-      // SIZE
-      const sizeT = blockData.S || blockData.Size;
-      if(!sizeT) return;
-      const sx = (typeof sizeT[0] === 'number') ? sizeT[0] : (sizeT.X || 1);
-      const sy = (typeof sizeT[1] === 'number') ? sizeT[1] : (sizeT.Y || 1);
-      const sz = (typeof sizeT[2] === 'number') ? sizeT[2] : (sizeT.Z || 1);
-
-      // COLOR (expect normalized 0..1) - support Color or C
-      const colT = blockData.C || blockData.Color;
-      // allow Color as object with R/G/B as well
-      let r=1,g=1,b=1;
-      if(colT){
-        if(Array.isArray(colT)){
-          r = (typeof colT[0] === 'number') ? colT[0] : (colT.R || 1);
-          g = (typeof colT[1] === 'number') ? colT[1] : (colT.G || 1);
-          b = (typeof colT[2] === 'number') ? colT[2] : (colT.B || 1);
-        } else if(typeof colT === 'object'){
-          r = (typeof colT.R === 'number') ? colT.R : (colT.r || 1);
-          g = (typeof colT.G === 'number') ? colT.G : (colT.g || 1);
-          b = (typeof colT.B === 'number') ? colT.B : (colT.b || 1);
-        }
-        // If values appear in 0..255 range, normalize them to 0..1
-        if(r > 1 || g > 1 || b > 1){
-          r = Math.min(1, r/255);
-          g = Math.min(1, g/255);
-          b = Math.min(1, b/255);
-        }
-      }
-
-      // optional flags with defaults: E=false, T=0, K=true, A=true
-      const editable = (blockData.E !== undefined) ? !!blockData.E : (blockData.Editable !== undefined ? !!blockData.Editable : false);
-      const transparency = (typeof blockData.T === 'number') ? blockData.T : (typeof blockData.Transparency === 'number' ? blockData.Transparency : 0);
-      const canCollide = (blockData.K !== undefined) ? !!blockData.K : (blockData.CanCollide !== undefined ? !!blockData.CanCollide : true);
-      const anchored = (blockData.A !== undefined) ? !!blockData.A : (blockData.Anchored !== undefined ? !!blockData.Anchored : true);
-
-      const materialName = blockData.M || blockData.Material || null;
-
-      const normalized = {
-        P: [Math.round(px), Math.round(py), Math.round(pz)],
-        S: [Math.round(sx), Math.round(sy), Math.round(sz)]
-      };
-      // include color only if present in source
-      if(colT) normalized.C = [r,g,b];
-      if(materialName) normalized.M = materialName;
-      if(editable === true) normalized.E = true;
-      if(typeof transparency === 'number' && transparency > 0) normalized.T = transparency;
-      if(canCollide === false) normalized.K = false;
-      if(anchored === false) normalized.A = false;
-
-      out.push(normalized);
+  // (parsing / validation / normalization live in blockjson.js)
+
+  // validation report under the JSON textarea: lists every problem, then
+  // "apply valid entries" / "cancel" — nothing in the scene changes until the user picks
+  const jsonReport = document.getElementById('jsonReport');
+  const jsonReportList = document.getElementById('jsonReportList');
+  const jsonReportTitle = document.getElementById('jsonReportTitle');
+  const jsonApplyValidBtn = document.getElementById('jsonApplyValidBtn');
+  const jsonCancelBtn = document.getElementById('jsonCancelBtn');
+  let pendingValid = null;
+  const REPORT_LIMIT = 200;
+
+  function hideJsonReport(){
+    pendingValid = null;
+    if(jsonReport) jsonReport.classList.add('hidden');
+  }
+  function showJsonReport(title, lines, validCount){
+    if(!jsonReport){
+      // fallback when the report markup is missing
+      if(validCount && confirm(title + '\n\n' + lines.slice(0, 20).join('\n') + '\n\n유효한 항목만 적용할까요?')) applyPendingValid();
+      return;
+    }
+    jsonReportTitle.textContent = title;
+    jsonReportList.innerHTML = '';
+    lines.slice(0, REPORT_LIMIT).forEach(text=>{
+      const li = document.createElement('li');
+      li.textContent = text;
+      jsonReportList.appendChild(li);
     });
-    return out;
+    if(lines.length > REPORT_LIMIT){
+      const li = document.createElement('li');
+      li.textContent = `… 외 ${lines.length - REPORT_LIMIT}개`;
+      jsonReportList.appendChild(li);
+    }
+    jsonApplyValidBtn.style.display = validCount ? '' : 'none';
+    jsonApplyValidBtn.textContent = `유효한 항목만 적용 (${validCount}개)`;
+    jsonReport.classList.remove('hidden');
   }
-  // --- end normalize helper ---
-
-  applyJsonBtn.addEventListener("click", ()=>{
-    let parsed;
-    try{
-      parsed = JSON.parse(jsonOut.value);
-      if(!Array.isArray(parsed)) throw new Error("JSON should be an array of block objects.");
-    }catch(e){
+  function applyPendingValid(){
+    const pending = pendingValid;
+    hideJsonReport();
+    if(pending) applyBlocks(normalizeImportedArray(pending.blocks), pending.project, pending.legacy);
+  }
+  jsonApplyValidBtn && jsonApplyValidBtn.addEventListener('click', applyPendingValid);
+  jsonCancelBtn && jsonCancelBtn.addEventListener('click', hideJsonReport);
+  jsonOut.addEventListener('input', hideJsonReport);
+
+  applyJsonBtn.addEventListener("click", async ()=>{
+    hideJsonReport();
+    // a pasted share code is decoded and then takes the same path as a project file
+    if(isShareCode(jsonOut.value)){
+      await applyShareCode(jsonOut.value);
+      return;
+    }
+    const res = parseJsonWithLocation(jsonOut.value);
+    if(res.error){
+      const where = res.error.line ? `${res.error.line}번째 줄 ${res.error.column}번째 칸: ` : '';
+      showJsonReport('JSON 구문 오류', [where + res.error.message], 0);
       applyJsonBtn.textContent = "파싱 오류";
       setTimeout(()=>applyJsonBtn.textContent="JSON 적용",1000);
       return;
     }
+    applyDocument(res.value);
+  });
 
-    // Normalize imported forms (support Position/Size/Color/Anchored/CanCollide/Transparency/Editable/Material)
-    const normalized = normalizeImportedArray(parsed);
+  // validate and apply a parsed bare array or project file
+  function applyDocument(value){
+    // bare arrays and older project files are upgraded to the current envelope first
+    const migrated = migrateProject(value);
+    if(migrated.error){
+      showJsonReport('프로젝트 파일 오류', [migrated.error], 0);
+      return;
+    }
+    const project = migrated.project;
+    const parsed = project.blocks;
+    const problems = validateImportedArray(parsed);
+    if(problems.length){
+      const valid = validEntries(parsed, problems);
+      const lines = problems.map(p => (p.index === null ? '' : `#${p.index}`) + (p.field ? ` ${p.field}` : '') + (p.index === null && !p.field ? '' : ': ') + p.message);
+      pendingValid = { blocks: valid, project, legacy: migrated.legacy };
+      const badCount = parsed.length - valid.length;
+      showJsonReport(`문제 ${problems.length}개 (항목 ${badCount}개)`, lines, valid.length);
+      return;
+    }
+    // Normalize imported forms (support Position/Size/Color/Anchored/CanCollide/Transparency/Editable/Material/Rotation)
+    applyBlocks(normalizeImportedArray(parsed), project, migrated.legacy);
+  }
 
-    // Clear existing blocks
-    while(editor.blocksGroup.children.length) {
-      const c = editor.blocksGroup.children[0];
-      editor.blocksGroup.remove(c);
-      c.geometry.dispose();
-      if(c.material) c.material.dispose();
+  async function applyShareCode(code){
+    const decoded = await decodeShareCode(code);
+    if(decoded.error){
+      showJsonReport('공유 코드 오류', [decoded.error], 0);
+      return false;
     }
-    editor.setSelected(null);
-    editor.removeGrowHandles();
+    applyDocument(createProjectEnvelope({ name: decoded.name }, decoded.blocks, { unit: editor.GRID_UNIT, yBaseline: decoded.yBaseline }));
+    return true;
+  }
 
-    // Recreate blocks from parsed array (use normalized array)
-    normalized.forEach(blockData=>{
-      try{
-        if(typeof blockData !== 'object') return;
-
-        // POSITION
-        const posT = blockData.P;
-        if(!posT) return;
-        const px = (typeof posT[0] === 'number') ? posT[0] : (posT.X || 0);
-        const py = (typeof posT[1] === 'number') ? posT[1] : (posT.Y || 0);
-        const pz = (typeof posT[2] === 'number') ? posT[2] : (posT.Z || 0);
-
-        // SIZE
-        const sizeT = blockData.S;
-        if(!sizeT) return;
-        const sx = (typeof sizeT[0] === 'number') ? sizeT[0] : (sizeT.X || 1);
-        const sy = (typeof sizeT[1] === 'number') ? sizeT[1] : (sizeT.Y || 1);
-        const sz = (typeof sizeT[2] === 'number') ? sizeT[2] : (sizeT.Z || 1);
-
-        // COLOR (expect normalized 0..1)
-        const colT = blockData.C;
-        let r = null, g = null, b = null;
-        if(colT && Array.isArray(colT)){
-          r = (typeof colT[0] === 'number') ? colT[0] : (colT.R || 1);
-          g = (typeof colT[1] === 'number') ? colT[1] : (colT.G || 1);
-          b = (typeof colT[2] === 'number') ? colT[2] : (colT.B || 1);
-        }
+  // replace the scene with already-validated, normalized entries
+  // import mode (JSON panel): 'replace' clears the scene first, 'merge' appends at an offset
+  const importModeRadios = Array.from(document.querySelectorAll('input[name="importMode"]'));
+  const mergeOptions = document.getElementById('mergeOptions');
+  const mergeOffsetInputs = ['mergeOffsetX', 'mergeOffsetY', 'mergeOffsetZ'].map(id => document.getElementById(id));
+  const mergeCollision = document.getElementById('mergeCollision');
+  const mergePickBtn = document.getElementById('mergePickBtn');
+  function importMode(){
+    const r = importModeRadios.find(x => x.checked);
+    return r ? r.value : 'replace';
+  }
+  importModeRadios.forEach(r => r.addEventListener('change', ()=>{
+    if(mergeOptions) mergeOptions.style.display = importMode() === 'merge' ? '' : 'none';
+  }));
+  // anchor pick: the next click on the ground becomes the X/Z offset
+  mergePickBtn && mergePickBtn.addEventListener('click', ()=>{
+    if(!editor.pickGroundPoint) return;
+    mergePickBtn.textContent = '바닥을 클릭하세요…';
+    editor.pickGroundPoint((pt)=>{
+      mergePickBtn.textContent = '바닥 클릭으로 지정';
+      if(!pt) return;
+      mergeOffsetInputs[0].value = Math.round(pt.x);
+      mergeOffsetInputs[2].value = Math.round(pt.z);
+    });
+  });
+  function importOptions(){
+    if(importMode() !== 'merge') return { merge: false };
+    return {
+      merge: true,
+      offset: mergeOffsetInputs.map(inp => Math.round(parseFloat(inp && inp.value) || 0)),
+      // 'keep' (allow overlap) | 'skip' (drop colliding imports) | 'replace' (remove existing blocks in the way)
+      collisions: mergeCollision ? mergeCollision.value : 'keep'
+    };
+  }
 
-        // optional flags with defaults: E=false, T=0, K=true, A=true
-        const editable = (blockData.E !== undefined) ? !!blockData.E : false;
-        const transparency = (typeof blockData.T === 'number') ? blockData.T : 0;
-        const canCollide = (blockData.K !== undefined) ? !!blockData.K : true;
-        const anchored = (blockData.A !== undefined) ? !!blockData.A : true;
-
-        const materialName = blockData.M || null;
-
-        // determine material or color to pass to editor.placeBlockAt
-        let materialOrColor = null;
-        let matName = null;
-        if(materialName && editor.materials && editor.materials[materialName]){
-          materialOrColor = editor.materials[materialName].material;
-          matName = materialName;
-        } else if(r !== null && g !== null && b !== null){
-          materialOrColor = [r,g,b];
-          matName = null;
-        } else {
-          materialOrColor = null;
-          matName = null;
-        }
+  // project: migrated envelope (grid.yBaseline tells how block Y maps to the editor).
+  // legacy: the blocks came from a bare array, so positions are snapped to the grid; project
+  // files and share codes carry exact positions and are placed as written.
+  function applyBlocks(normalized, project, legacy){
+    const opts = importOptions();
+    const yBaseline = project.grid.yBaseline;
+    // replacing the scene adopts the file's name/author and material settings; merging keeps
+    // the current project
+    if(!opts.merge){
+      setProjectMeta(project);
+      for(const name of Object.keys(project.materials)) setTextureScale(name, project.materials[name].textureScale);
+      refreshTextureScale();
+    }
+    const offset = opts.merge ? opts.offset : [0, 0, 0];
+    // bare arrays: block faces sit on whole studs, so X/Z centers snap to half studs (even-sized
+    // parts) and block bottoms to whole studs
+    const snapXZ = (v) => legacy ? Math.round(v * 2) / 2 : v;
+    const snapBase = (v) => legacy ? Math.round(v) : v;
+    const imported = new Set();
+    let skipped = 0;
+    // M names this browser does not know (e.g. someone else's custom material) -> color only
+    const missingMaterials = new Set();
+    // replace-all (or merge) is one undoable step: clearing and every recreated block
+    editor.runCommand(opts.merge ? 'JSON 병합' : 'JSON 적용', ()=>{
+      // Clear existing blocks (merge keeps them)
+      if(!opts.merge) editor.clearBlocks();
+
+      // Recreate blocks from parsed array (use normalized array)
+      normalized.forEach(blockData=>{
+        try{
+          if(typeof blockData !== 'object') return;
+
+          // POSITION
+          const posT = blockData.P;
+          if(!posT) return;
+          const px = ((typeof posT[0] === 'number') ? posT[0] : (posT.X || 0)) + offset[0];
+          const py = ((typeof posT[1] === 'number') ? posT[1] : (posT.Y || 0)) + offset[1];
+          const pz = ((typeof posT[2] === 'number') ? posT[2] : (posT.Z || 0)) + offset[2];
+
+          // SIZE
+          const sizeT = blockData.S;
+          if(!sizeT) return;
+          const sx = (typeof sizeT[0] === 'number') ? sizeT[0] : (sizeT.X || 1);
+          const sy = (typeof sizeT[1] === 'number') ? sizeT[1] : (sizeT.Y || 1);
+          const sz = (typeof sizeT[2] === 'number') ? sizeT[2] : (sizeT.Z || 1);
+
+          // COLOR (expect normalized 0..1)
+          const colT = blockData.C;
+          let r = null, g = null, b = null;
+          if(colT && Array.isArray(colT)){
+            r = (typeof colT[0] === 'number') ? colT[0] : (colT.R || 1);
+            g = (typeof colT[1] === 'number') ? colT[1] : (colT.G || 1);
+            b = (typeof colT[2] === 'number') ? colT[2] : (colT.B || 1);
+          }
+
+          // optional flags with defaults: E=false, K=true, A=true (T: the material default)
+          const editable = (blockData.E !== undefined) ? !!blockData.E : false;
+          const transparency = (typeof blockData.T === 'number') ? blockData.T : 0;
+          const canCollide = (blockData.K !== undefined) ? !!blockData.K : true;
+          const anchored = (blockData.A !== undefined) ? !!blockData.A : true;
+
+          const materialName = blockData.M || null;
+
+          // determine material or color to pass to editor.placeBlockAt
+          let materialOrColor = null;
+          let matName = null;
+          if(materialName && !(editor.materials && editor.materials[materialName])) missingMaterials.add(materialName);
+          if(materialName && editor.materials && editor.materials[materialName]){
+            materialOrColor = editor.materials[materialName].material;
+            matName = materialName;
+          } else if(r !== null && g !== null && b !== null){
+            materialOrColor = [r,g,b];
+            matName = null;
+          } else {
+            materialOrColor = null;
+            matName = null;
+          }
 
-        // placeBlockAt expects base Y (ground) not center; ensure we pass baseY (center minus half height)
-        // The editor internally applies a +1 offset to incoming base Y, so subtract 1 here
-        // to counter that and make external JSON import align with the editor grid.
-        const basePy = Math.round(py - (sy/2) - 1);
-
-        if(editor.placeBlockAt){
-          // pass extra userData flags via the created mesh's userData after creation
-          const m = editor.placeBlockAt(Math.round(px), Math.round(basePy), Math.round(pz), Math.round(sx), Math.round(sy), Math.round(sz), materialOrColor, matName);
-          if(m){
-            // store compact flags back onto mesh userData for export later
-            m.userData.E = editable === true;
-            if(transparency && transparency > 0) m.userData.T = transparency;
-            if(canCollide === false) m.userData.K = false;
-            if(anchored === false) m.userData.A = false;
-            // ensure userData.M and C are consistent
-            if(matName) m.userData.M = matName;
-            else if(materialOrColor && Array.isArray(materialOrColor)) m.userData.C = [Math.round(r*1000)/1000, Math.round(g*1000)/1000, Math.round(b*1000)/1000];
+          // placeBlockAt expects base Y (ground) not center; ensure we pass baseY (center minus half height).
+          // File Y is the editor center + yBaseline, and the editor internally applies a +1 offset
+          // to incoming base Y, so subtract both here to land exactly where the block was exported.
+          const basePy = snapBase(py - yBaseline - (sy/2) - 1);
+
+          // merge: resolve collisions with blocks that were already in the scene
+          if(opts.merge && opts.collisions !== 'keep' && editor.blocksInBox){
+            const cy = basePy + 1 + Math.round(sy) / 2;
+            const half = new THREE.Vector3(Math.round(sx) / 2, Math.round(sy) / 2, Math.round(sz) / 2);
+            const center = new THREE.Vector3(snapXZ(px), cy, snapXZ(pz));
+            const hits = editor.blocksInBox(new THREE.Box3(center.clone().sub(half), center.clone().add(half)), imported);
+            if(hits.length){
+              if(opts.collisions === 'skip'){ skipped++; return; }
+              editor.removeBlocks(hits);
+            }
           }
-        }
-      }catch(e){}
+
+          if(editor.placeBlockAt){
+            // pass extra userData flags via the created mesh's userData after creation
+            // imported builds keep their overlaps; they are counted and reported below
+            // entries without T take the material's default (older Glass builds never wrote T)
+            const m = editor.placeBlockAt(snapXZ(px), basePy, snapXZ(pz), Math.round(sx), Math.round(sy), Math.round(sz), materialOrColor, matName, { allowOverlap: true, materialDefaults: typeof blockData.T !== 'number' });
+            if(m){
+              imported.add(m);
+              // store compact flags back onto mesh userData for export later
+              m.userData.E = editable === true;
+              if(transparency && transparency > 0 && editor.setBlockTransparency) editor.setBlockTransparency(m, transparency);
+              if(canCollide === false) m.userData.K = false;
+              if(anchored === false) m.userData.A = false;
+              if(Array.isArray(blockData.R) && editor.setBlockRotation) editor.setBlockRotation(m, blockData.R);
+              // ensure userData.M and C are consistent
+              if(matName) m.userData.M = matName;
+              else if(materialOrColor && Array.isArray(materialOrColor)) m.userData.C = [Math.round(r*1000)/1000, Math.round(g*1000)/1000, Math.round(b*1000)/1000];
+            }
+          }
+        }catch(e){}
+      });
     });
 
     // ensure grid offset is consistent after importing JSON
@@ -574,9 +1063,22 @@ export function wireUI(editor){
     if(editor.updateJSON) editor.updateJSON();
     jsonOut.value = document.getElementById("jsonOut").value;
 
-    applyJsonBtn.textContent = "적용됨";
-    setTimeout(()=>applyJsonBtn.textContent="JSON 적용",900);
-  });
+    // merged blocks end up selected so they can be moved as a unit
+    if(opts.merge && imported.size) editor.setSelection(Array.from(imported));
+
+    // report intersecting parts instead of silently accepting them
+    const overlaps = editor.countOverlappingPairs ? editor.countOverlappingPairs() : 0;
+    let msg = opts.merge ? `병합됨 (${imported.size}개)` : "적용됨";
+    if(skipped) msg += ` · 건너뜀 ${skipped}개`;
+    if(overlaps) msg += ` · 겹침 ${overlaps}쌍`;
+    applyJsonBtn.textContent = msg;
+    setTimeout(()=>applyJsonBtn.textContent="JSON 적용", (overlaps || skipped || opts.merge) ? 2600 : 900);
+
+    if(missingMaterials.size){
+      showJsonReport(`재질 ${missingMaterials.size}개를 찾을 수 없어 색상만 적용했습니다`,
+        Array.from(missingMaterials, name => `"${name}" — 재질 패널에서 같은 이름으로 추가하면 다시 불러올 수 있습니다.`), 0);
+    }
+  }
 
   [sizeInput].forEach(inp=>{
     inp.addEventListener("change", ()=>{
@@ -625,6 +1127,12 @@ export function wireUI(editor){
     // Map tool names to tab ids
     const map = {
       rescale: 'rescale', // show rescale instruction panel
+      move: 'move',
+      rotate: 'rotate',
+      inspect: 'inspect',
+      eyedropper: 'eyedropper',
+      replace: 'replace',
+      generate: 'generate',
       paint: 'colors',
       material: 'materials',
       setting: 'settings',
@@ -656,7 +1164,7 @@ export function wireUI(editor){
     }
   }
   // attach handlers to toolbar (create-safe because toolbar exists in DOM)
-  ['Rescale','Paint','Material','Setting','Json','Place','Destroy'].forEach(n=>{
+  ['Rescale','Move','Rotate','Inspect','Eyedropper','Replace','Generate','Paint','Material','Setting','Json','Place','Destroy'].forEach(n=>{
     const id = 'tool'+n;
     const el = document.getElementById(id);
     if(el){
@@ -706,6 +1214,27 @@ export function wireUI(editor){
     });
   }
 
+  // Undo / redo toolbar buttons (keyboard shortcuts live in the editor)
+  (function wireHistoryButtons(){
+    const undoBtn = document.getElementById('toolUndo');
+    const redoBtn = document.getElementById('toolRedo');
+    if(!undoBtn || !redoBtn) return;
+    const baseUndoDesc = undoBtn.dataset.desc || '';
+    const baseRedoDesc = redoBtn.dataset.desc || '';
+    function refresh(state){
+      if(!state) return;
+      undoBtn.disabled = !state.canUndo;
+      redoBtn.disabled = !state.canRedo;
+      // show which step will be undone/redone in the hover description
+      undoBtn.dataset.desc = state.undoLabel ? baseUndoDesc + ' — ' + state.undoLabel : baseUndoDesc;
+      redoBtn.dataset.desc = state.redoLabel ? baseRedoDesc + ' — ' + state.redoLabel : baseRedoDesc;
+    }
+    undoBtn.addEventListener('click', (ev)=>{ ev.preventDefault(); if(editor.undo) editor.undo(); });
+    redoBtn.addEventListener('click', (ev)=>{ ev.preventDefault(); if(editor.redo) editor.redo(); });
+    window.addEventListener('history:change', (ev)=> refresh(ev.detail));
+    if(editor.getHistoryState) refresh(editor.getHistoryState());
+  })();
+
   // tooltip behavior: show hover description near mouse for topbar icons
   const tooltip = document.getElementById('toolTip');
   function showTooltipFor(el, ev){
@@ -758,15 +1287,7 @@ export function wireUI(editor){
       const ok = confirm('정말 모두 삭제하시겠습니까?');
       if(!ok) return;
       if(editor.blocksGroup){
-        while(editor.blocksGroup.children.length){
-          const c = editor.blocksGroup.children[0];
-          editor.blocksGroup.remove(c);
-          if(c.geometry) try{ c.geometry.dispose(); }catch(e){}
-          if(c.material) try{ c.material.dispose && c.material.dispose(); }catch(e){}
-        }
-        if(editor.setSelected) editor.setSelected(null);
-        if(editor.removeGrowHandles) editor.removeGrowHandles();
-        if(editor.updateJSON) editor.updateJSON();
+        if(editor.clearBlocks) editor.clearBlocks();
         // also update json textarea if present
         const jsonOutEl = document.getElementById('jsonOut');
         if(jsonOutEl) jsonOutEl.value = document.getElementById("jsonOut").value;
@@ -876,7 +1397,701 @@ export function wireUI(editor){
     }
   })();
   // --- end Place panel creation ---
+
+  // --- Rotate panel: 90° snapping or free-angle rotation of the selection ---
+  (function createRotatePanel(){
+    const panelsRoot = document.getElementById('panels');
+    if(!panelsRoot || document.getElementById('rotatePanel')) return;
+    const rotatePanel = document.createElement('section');
+    rotatePanel.id = 'rotatePanel';
+    rotatePanel.className = 'panel hidden';
+    rotatePanel.dataset.area = 'rotate';
+    const label = document.createElement('label');
+    label.className = 'panelTitle';
+    label.textContent = '회전 (Rotate)';
+    rotatePanel.appendChild(label);
+
+    // mode row: 90° snapping vs free angle with a custom step
+    let freeMode = false;
+    const modeRow = document.createElement('div');
+    modeRow.className = 'row';
+    modeRow.style.justifyContent = 'center';
+    const snapBtn = document.createElement('button');
+    snapBtn.type = 'button';
+    snapBtn.className = 'smallBtn';
+    snapBtn.textContent = '90° 스냅';
+    const freeBtn = document.createElement('button');
+    freeBtn.type = 'button';
+    freeBtn.className = 'smallBtn alt';
+    freeBtn.textContent = '자유 각도';
+    const stepInput = document.createElement('input');
+    stepInput.type = 'number';
+    stepInput.min = '1';
+    stepInput.max = '180';
+    stepInput.value = '15';
+    stepInput.title = '회전 단위 (도)';
+    stepInput.style.maxWidth = '80px';
+    stepInput.style.display = 'none';
+    modeRow.append(snapBtn, freeBtn, stepInput);
+    rotatePanel.appendChild(modeRow);
+
+    function currentStep(){
+      if(!freeMode) return 90;
+      const v = Math.abs(parseFloat(stepInput.value) || 0);
+      return v > 0 ? v : 15;
+    }
+    function setFreeMode(on){
+      freeMode = !!on;
+      snapBtn.className = freeMode ? 'smallBtn alt' : 'smallBtn';
+      freeBtn.className = freeMode ? 'smallBtn' : 'smallBtn alt';
+      stepInput.style.display = freeMode ? '' : 'none';
+      axisInputs.forEach(inp => { inp.step = freeMode ? 'any' : '90'; });
+    }
+    snapBtn.addEventListener('click', ()=> setFreeMode(false));
+    freeBtn.addEventListener('click', ()=> setFreeMode(true));
+
+    // one row per axis: [-] absolute degrees [+]
+    const axisInputs = [];
+    ['x','y','z'].forEach((axis, idx)=>{
+      const row = document.createElement('div');
+      row.className = 'row';
+      row.style.marginTop = '6px';
+      const name = document.createElement('div');
+      name.style.minWidth = '18px';
+      name.style.color = 'var(--muted)';
+      name.textContent = axis.toUpperCase();
+      const minus = document.createElement('button');
+      minus.type = 'button';
+      minus.className = 'smallBtn alt';
+      minus.textContent = '−';
+      const inp = document.createElement('input');
+      inp.type = 'number';
+      inp.step = '90';
+      inp.value = '0';
+      const plus = document.createElement('button');
+      plus.type = 'button';
+      plus.className = 'smallBtn alt';
+      plus.textContent = '+';
+      minus.addEventListener('click', ()=> rotateSelection(axis, -currentStep()));
+      plus.addEventListener('click', ()=> rotateSelection(axis, currentStep()));
+      inp.addEventListener('change', ()=>{
+        const sel = editor.selectedMeshesRef ? editor.selectedMeshesRef() : [];
+        if(!sel.length) return refreshInputs();
+        const R = axisInputs.map(i => parseFloat(i.value) || 0);
+        // snapping mode only allows quarter turns
+        const snapped = freeMode ? R : R.map(v => Math.round(v / 90) * 90);
+        if(editor.setBlocksRotation) editor.setBlocksRotation(sel, snapped);
+        refreshInputs();
+      });
+      axisInputs.push(inp);
+      row.append(name, minus, inp, plus);
+      rotatePanel.appendChild(row);
+    });
+
+    const hint = document.createElement('div');
+    hint.style.fontSize = '12px';
+    hint.style.color = 'var(--muted)';
+    hint.style.marginTop = '6px';
+    hint.textContent = 'R 키: Y축 회전 (Shift+R 반대 방향)';
+    rotatePanel.appendChild(hint);
+
+    function rotateSelection(axis, deg){
+      const sel = editor.selectedMeshesRef ? editor.selectedMeshesRef() : [];
+      if(sel.length && editor.rotateBlocks) editor.rotateBlocks(sel, axis, deg);
+      refreshInputs();
+    }
+    // show the primary block's orientation
+    function refreshInputs(){
+      const prim = editor.selectedMeshRef && editor.selectedMeshRef();
+      const R = (prim && prim.userData && prim.userData.R) || [0,0,0];
+      axisInputs.forEach((inp, i)=>{ if(document.activeElement !== inp) inp.value = String(R[i] || 0); });
+    }
+    window.addEventListener('selection:change', refreshInputs);
+    window.addEventListener('history:change', refreshInputs);
+
+    // keyboard shortcut while the rotate tool is active
+    window.addEventListener('keydown', (ev)=>{
+      if(ev.key !== 'r' && ev.key !== 'R') return;
+      if(ev.ctrlKey || ev.metaKey || ev.altKey) return;
+      const t = ev.target;
+      if(t && (t.tagName === 'INPUT' || t.tagName === 'TEXTAREA')) return;
+      const btn = document.getElementById('toolRotate');
+      if(!btn || !btn.classList.contains('active')) return;
+      ev.preventDefault();
+      rotateSelection('y', ev.shiftKey ? -currentStep() : currentStep());
+    });
+
+    panelsRoot.insertBefore(rotatePanel, panelsRoot.firstChild);
+  })();
+  // --- end Rotate panel ---
+
+  // --- Inspector panel: position / size / material / color of the selection plus the
+  // Anchored, CanCollide, Editable flags and Transparency (edits go through the editor API) ---
+  (function createInspectPanel(){
+    const panelsRoot = document.getElementById('panels');
+    if(!panelsRoot || document.getElementById('inspectPanel')) return;
+    const inspectPanel = document.createElement('section');
+    inspectPanel.id = 'inspectPanel';
+    inspectPanel.className = 'panel hidden';
+    inspectPanel.dataset.area = 'inspect';
+    const label = document.createElement('label');
+    label.className = 'panelTitle';
+    label.textContent = '속성 (Properties)';
+    inspectPanel.appendChild(label);
+
+    const summary = document.createElement('div');
+    summary.style.fontSize = '12px';
+    summary.style.color = 'var(--muted)';
+    inspectPanel.appendChild(summary);
+
+    // read-only rows: name -> value element
+    const info = {};
+    [['P', '위치'], ['S', '크기'], ['M', '재질'], ['C', '색상']].forEach(([key, text])=>{
+      const row = document.createElement('div');
+      row.className = 'row';
+      row.style.marginTop = '6px';
+      const name = document.createElement('div');
+      name.style.minWidth = '48px';
+      name.style.color = 'var(--muted)';
+      name.textContent = text;
+      const value = document.createElement('div');
+      value.style.display = 'flex';
+      value.style.alignItems = 'center';
+      value.style.gap = '6px';
+      row.append(name, value);
+      inspectPanel.appendChild(row);
+      info[key] = value;
+    });
+
+    // flag toggles; `on` reads the flag from a block's userData with the export defaults
+    const flagDefs = [
+      { key: 'A', text: 'Anchored (고정)', on: ud => ud.A !== false },
+      { key: 'K', text: 'CanCollide (충돌)', on: ud => ud.K !== false },
+      { key: 'E', text: 'Editable (편집 가능)', on: ud => ud.E === true }
+    ];
+    const flagInputs = {};
+    const flagRow = document.createElement('div');
+    flagRow.className = 'row';
+    flagRow.style.marginTop = '8px';
+    flagRow.style.flexWrap = 'wrap';
+    flagDefs.forEach(def=>{
+      const wrap = document.createElement('label');
+      wrap.style.display = 'flex';
+      wrap.style.alignItems = 'center';
+      wrap.style.gap = '6px';
+      const cb = document.createElement('input');
+      cb.type = 'checkbox';
+      cb.addEventListener('change', ()=>{
+        const sel = editor.selectedMeshesRef ? editor.selectedMeshesRef() : [];
+        if(sel.length && editor.setBlocksFlags) editor.setBlocksFlags(sel, { [def.key]: cb.checked });
+        refresh();
+      });
+      wrap.append(cb, document.createTextNode(def.text));
+      flagRow.appendChild(wrap);
+      flagInputs[def.key] = cb;
+    });
+    inspectPanel.appendChild(flagRow);
+
+    // transparency: the label follows the slider, the edit is committed on release
+    const tRow = document.createElement('div');
+    tRow.className = 'row';
+    tRow.style.marginTop = '8px';
+    const tName = document.createElement('div');
+    tName.style.minWidth = '48px';
+    tName.style.color = 'var(--muted)';
+    tName.textContent = '투명도';
+    const tSlider = document.createElement('input');
+    tSlider.type = 'range';
+    tSlider.min = '0';
+    tSlider.max = '1';
+    tSlider.step = '0.05';
+    tSlider.value = '0';
+    tSlider.style.flex = '1';
+    const tValue = document.createElement('div');
+    tValue.style.minWidth = '40px';
+    tValue.style.textAlign = 'right';
+    tRow.append(tName, tSlider, tValue);
+    inspectPanel.appendChild(tRow);
+    tSlider.addEventListener('input', ()=>{ tValue.textContent = Number(tSlider.value).toFixed(2); });
+    tSlider.addEventListener('change', ()=>{
+      const sel = editor.selectedMeshesRef ? editor.selectedMeshesRef() : [];
+      if(sel.length && editor.setBlockTransparency) editor.setBlockTransparency(sel, parseFloat(tSlider.value) || 0);
+      refresh();
+    });
+
+    const controls = [...Object.values(flagInputs), tSlider];
+    function fmt(v){ return String(Math.round(v * 1000) / 1000); }
+
+    function refresh(){
+      const sel = editor.selectedMeshesRef ? editor.selectedMeshesRef() : [];
+      const prim = (editor.selectedMeshRef && editor.selectedMeshRef()) || sel[0] || null;
+      controls.forEach(c => { c.disabled = !sel.length; });
+      if(!prim){
+        summary.textContent = '블록을 선택하세요.';
+        Object.values(info).forEach(el => { el.textContent = '-'; });
+        controls.forEach(c => { if(c.type === 'checkbox'){ c.checked = false; c.indeterminate = false; } });
+        tSlider.value = '0';
+        tValue.textContent = '-';
+        return;
+      }
+      const ud = prim.userData || {};
+      // position / size / material / color describe the primary block, in JSON coordinates
+      summary.textContent = sel.length > 1 ? `블록 ${sel.length}개 선택 (위치·크기·재질·색상은 기준 블록)` : '블록 1개 선택';
+      const P = ud.P || [0, 0, 0];
+      info.P.textContent = [P[0], P[1] + (editor.JSON_Y_BASELINE || 0), P[2]].map(fmt).join(', ');
+      info.S.textContent = (ud.S || []).join(' × ');
+      info.M.textContent = ud.M || '없음 (색상만)';
+      info.C.textContent = '';
+      if(ud.C){
+        const swatch = document.createElement('span');
+        const hex = editor.rgbToHex(ud.C);
+        swatch.style.cssText = `display:inline-block;width:14px;height:14px;border-radius:3px;background:${hex}`;
+        info.C.append(swatch, document.createTextNode(hex));
+      } else {
+        info.C.textContent = '기본';
+      }
+      // flags and transparency reflect the whole selection (mixed -> indeterminate)
+      flagDefs.forEach(def=>{
+        const ons = sel.filter(m => def.on(m.userData || {})).length;
+        flagInputs[def.key].checked = ons === sel.length;
+        flagInputs[def.key].indeterminate = ons > 0 && ons < sel.length;
+      });
+      const ts = sel.map(m => (m.userData && typeof m.userData.T === 'number') ? m.userData.T : 0);
+      const mixed = ts.some(t => t !== ts[0]);
+      if(document.activeElement !== tSlider) tSlider.value = String(ts[0]);
+      tValue.textContent = mixed ? '혼합' : ts[0].toFixed(2);
+    }
+    window.addEventListener('selection:change', refresh);
+    window.addEventListener('history:change', refresh);
+    refresh();
+
+    panelsRoot.insertBefore(inspectPanel, panelsRoot.firstChild);
+  })();
+  // --- end Inspector panel ---
+
+  // --- Eyedropper panel: what was last picked from a block and the flags new blocks will get ---
+  (function createEyedropperPanel(){
+    const panelsRoot = document.getElementById('panels');
+    if(!panelsRoot || document.getElementById('eyedropperPanel')) return;
+    const panel = document.createElement('section');
+    panel.id = 'eyedropperPanel';
+    panel.className = 'panel hidden';
+    panel.dataset.area = 'eyedropper';
+    const label = document.createElement('label');
+    label.className = 'panelTitle';
+    label.textContent = '스포이트 (Eyedropper)';
+    panel.appendChild(label);
+
+    const hint = document.createElement('div');
+    hint.style.fontSize = '12px';
+    hint.style.color = 'var(--muted)';
+    hint.textContent = '블록을 클릭하면 재질·색상·크기·속성을 설치 설정으로 가져옵니다. 설치 중에는 Alt+클릭으로도 가져올 수 있습니다.';
+    panel.appendChild(hint);
+
+    const picked = document.createElement('div');
+    picked.style.marginTop = '8px';
+    picked.style.display = 'flex';
+    picked.style.alignItems = 'center';
+    picked.style.gap = '6px';
+    picked.style.flexWrap = 'wrap';
+    panel.appendChild(picked);
+
+    const row = document.createElement('div');
+    row.className = 'row';
+    row.style.marginTop = '8px';
+    const resetBtn = document.createElement('button');
+    resetBtn.type = 'button';
+    resetBtn.className = 'smallBtn alt';
+    resetBtn.textContent = '속성 초기화';
+    resetBtn.title = '새 블록의 고정·충돌·편집 가능·투명도를 기본값으로 되돌립니다.';
+    row.appendChild(resetBtn);
+    panel.appendChild(row);
+
+    function flagsText(f){
+      if(!f) return '기본 속성';
+      const parts = [];
+      if(f.A === false) parts.push('고정 해제');
+      if(f.K === false) parts.push('충돌 끔');
+      if(f.E === true) parts.push('편집 가능');
+      if(typeof f.T === 'number' && f.T > 0) parts.push(`투명도 ${f.T}`);
+      return parts.length ? parts.join(' · ') : '기본 속성';
+    }
+    function render(detail){
+      picked.textContent = '';
+      resetBtn.disabled = !(editor.getPlacementFlags && editor.getPlacementFlags());
+      if(!detail){
+        picked.textContent = '아직 가져온 블록이 없습니다.';
+        return;
+      }
+      if(detail.C){
+        const swatch = document.createElement('span');
+        swatch.style.cssText = `display:inline-block;width:14px;height:14px;border-radius:3px;background:${editor.rgbToHex(detail.C)}`;
+        picked.appendChild(swatch);
+      }
+      picked.appendChild(document.createTextNode(
+        `${detail.M || '색상만'} · 크기 ${detail.size} · ${flagsText(detail.flags)}`));
+    }
+    let last = null;
+    resetBtn.addEventListener('click', ()=>{
+      if(editor.setPlacementFlags) editor.setPlacementFlags(null);
+      if(last) last = { ...last, flags: null };
+      render(last);
+    });
+
+    // the editor has already updated its placement state; bring the palettes in line
+    window.addEventListener('eyedropper:pick', (e)=>{
+      last = e.detail;
+      showPickedMaterial(last.M);
+      showPickedColor(last.C);
+      render(last);
+    });
+    render(null);
+
+    panelsRoot.insertBefore(panel, panelsRoot.firstChild);
+  })();
+  // --- end Eyedropper panel ---
+
+  // --- Replace panel: find blocks by M / C (with tolerance) / T / K / A and set new values ---
+  (function createReplacePanel(){
+    const panelsRoot = document.getElementById('panels');
+    if(!panelsRoot || document.getElementById('replacePanel') || !editor.findBlocks) return;
+    const panel = document.createElement('section');
+    panel.id = 'replacePanel';
+    panel.className = 'panel hidden';
+    panel.dataset.area = 'replace';
+    const label = document.createElement('label');
+    label.className = 'panelTitle';
+    label.textContent = '찾아 바꾸기 (Replace)';
+    panel.appendChild(label);
+
+    function materialSelect(){
+      const sel = document.createElement('select');
+      sel.dataset.materials = '1';
+      return sel;
+    }
+    // the material list can grow (custom materials), so options are rebuilt on refresh
+    function fillMaterialOptions(sel){
+      const cur = sel.value;
+      sel.textContent = '';
+      const none = document.createElement('option');
+      none.value = '';
+      none.textContent = '없음 (색상만)';
+      sel.appendChild(none);
+      Object.keys(editor.materials).forEach(name=>{
+        const opt = document.createElement('option');
+        opt.value = name;
+        opt.textContent = name;
+        sel.appendChild(opt);
+      });
+      sel.value = Array.from(sel.options).some(o => o.value === cur) ? cur : '';
+    }
+    function boolSelect(onText, offText){
+      const sel = document.createElement('select');
+      [['true', onText], ['false', offText]].forEach(([v, t])=>{
+        const opt = document.createElement('option');
+        opt.value = v;
+        opt.textContent = t;
+        sel.appendChild(opt);
+      });
+      return sel;
+    }
+    function colorInput(){
+      const inp = document.createElement('input');
+      inp.type = 'color';
+      inp.value = '#f2f3f3';
+      return inp;
+    }
+    function transparencyInput(){
+      const inp = document.createElement('input');
+      inp.type = 'number';
+      inp.min = '0';
+      inp.max = '1';
+      inp.step = '0.05';
+      inp.value = '0';
+      inp.style.maxWidth = '64px';
+      return inp;
+    }
+    const tolerance = document.createElement('input');
+    tolerance.type = 'number';
+    tolerance.min = '0';
+    tolerance.max = '255';
+    tolerance.step = '1';
+    tolerance.value = '8';
+    tolerance.style.maxWidth = '56px';
+    tolerance.title = '채널별 허용 차이 (0~255)';
+
+    // key -> { text, find: [elements], replace: [elements], read(el) }
+    const fields = [
+      { key: 'M', text: '재질', find: materialSelect(), replace: materialSelect(), read: el => el.value || null },
+      { key: 'C', text: '색상', find: colorInput(), replace: colorInput(), read: el => hexToRgbNorm(el.value) },
+      { key: 'T', text: '투명도', find: transparencyInput(), replace: transparencyInput(), read: el => Math.max(0, Math.min(1, parseFloat(el.value) || 0)) },
+      { key: 'K', text: '충돌', find: boolSelect('켜짐', '꺼짐'), replace: boolSelect('켜짐', '꺼짐'), read: el => el.value === 'true' },
+      { key: 'A', text: '고정', find: boolSelect('고정', '해제'), replace: boolSelect('고정', '해제'), read: el => el.value === 'true' }
+    ];
+    const head = document.createElement('div');
+    head.className = 'row';
+    head.style.marginTop = '6px';
+    head.style.fontSize = '12px';
+    head.style.color = 'var(--muted)';
+    head.innerHTML = '<div style="min-width:56px"></div><div style="flex:1">찾기</div><div style="flex:1">바꾸기</div>';
+    panel.appendChild(head);
+    fields.forEach(f=>{
+      const row = document.createElement('div');
+      row.className = 'row';
+      row.style.marginTop = '6px';
+      const name = document.createElement('div');
+      name.style.minWidth = '56px';
+      name.style.color = 'var(--muted)';
+      name.textContent = f.text;
+      const cell = (el, extra)=>{
+        const wrap = document.createElement('label');
+        wrap.style.flex = '1';
+        wrap.style.display = 'flex';
+        wrap.style.alignItems = 'center';
+        wrap.style.gap = '6px';
+        const cb = document.createElement('input');
+        cb.type = 'checkbox';
+        wrap.append(cb, el, ...(extra ? [extra] : []));
+        return { wrap, cb };
+      };
+      const findCell = cell(f.find, f.key === 'C' ? tolerance : null);
+      const replaceCell = cell(f.replace);
+      f.findOn = findCell.cb;
+      f.replaceOn = replaceCell.cb;
+      row.append(name, findCell.wrap, replaceCell.wrap);
+      panel.appendChild(row);
+    });
+
+    const summary = document.createElement('div');
+    summary.style.marginTop = '8px';
+    summary.style.fontSize = '13px';
+    panel.appendChild(summary);
+
+    const btnRow = document.createElement('div');
+    btnRow.className = 'row';
+    btnRow.style.marginTop = '8px';
+    const selectBtn = document.createElement('button');
+    selectBtn.type = 'button';
+    selectBtn.className = 'smallBtn alt';
+    selectBtn.textContent = '찾은 블록 선택';
+    const applyBtn = document.createElement('button');
+    applyBtn.type = 'button';
+    applyBtn.className = 'smallBtn';
+    applyBtn.textContent = '바꾸기';
+    btnRow.append(selectBtn, applyBtn);
+    panel.appendChild(btnRow);
+
+    function query(){
+      const q = {};
+      fields.forEach(f=>{
+        if(!f.findOn.checked) return;
+        q[f.key] = f.key === 'C' ? { rgb: f.read(f.find), tolerance: parseInt(tolerance.value, 10) || 0 } : f.read(f.find);
+      });
+      return q;
+    }
+    function values(){
+      const v = {};
+      fields.forEach(f=>{ if(f.replaceOn.checked) v[f.key] = f.read(f.replace); });
+      return v;
+    }
+
+    let matches = [];
+    // recount (and outline while the panel is open) after any change to the form or the build
+    const toolBtn = document.getElementById('toolReplace');
+    function refresh(){
+      fields.forEach(f=>{
+        f.find.disabled = !f.findOn.checked;
+        f.replace.disabled = !f.replaceOn.checked;
+      });
+      tolerance.disabled = !fields[1].findOn.checked;
+      const q = query();
+      matches = editor.findBlocks(q);
+      const active = !!(toolBtn && toolBtn.classList.contains('active'));
+      // with no criteria everything matches; outlining the whole build would only add clutter
+      if(active && editor.highlightBlocks) editor.highlightBlocks(Object.keys(q).length ? matches : []);
+      const hasValues = Object.keys(values()).length > 0;
+      summary.textContent = (Object.keys(q).length ? '' : '조건 없음: 모든 블록 · ') + `일치 ${matches.length}개`;
+      selectBtn.disabled = !matches.length;
+      applyBtn.disabled = !matches.length || !hasValues;
+      applyBtn.textContent = matches.length ? `바꾸기 (${matches.length}개)` : '바꾸기';
+    }
+    panel.addEventListener('input', refresh);
+    panel.addEventListener('change', refresh);
+    window.addEventListener('history:change', refresh);
+    // the toolbar activates the tool first, then this recount outlines the matches
+    function open(){
+      fillMaterialOptions(fields[0].find);
+      fillMaterialOptions(fields[0].replace);
+      refresh();
+    }
+    if(toolBtn){
+      toolBtn.addEventListener('click', open);
+      toolBtn.addEventListener('touchstart', open, {passive:true});
+    }
+    selectBtn.addEventListener('click', ()=>{ if(matches.length) editor.setSelection(matches); });
+    applyBtn.addEventListener('click', ()=>{
+      const v = values();
+      if(!matches.length || !Object.keys(v).length) return;
+      editor.replaceInBlocks(matches, v);
+      refresh();
+    });
+    open();
+
+    panelsRoot.insertBefore(panel, panelsRoot.firstChild);
+  })();
+  // --- end Replace panel ---
+
+  // --- Generate panel: parametric shapes previewed as a ghost, then placed in one step ---
+  (function createGeneratePanel(){
+    const panelsRoot = document.getElementById('panels');
+    if(!panelsRoot || document.getElementById('generatePanel') || !editor.previewShape) return;
+    const panel = document.createElement('section');
+    panel.id = 'generatePanel';
+    panel.className = 'panel hidden';
+    panel.dataset.area = 'generate';
+    const label = document.createElement('label');
+    label.className = 'panelTitle';
+    label.textContent = '도형 생성 (Generate)';
+    panel.appendChild(label);
+
+    const topRow = document.createElement('div');
+    topRow.className = 'row';
+    topRow.style.marginTop = '6px';
+    const shapeSelect = document.createElement('select');
+    Object.entries(GENERATOR_SHAPES).forEach(([id, shape])=>{
+      const opt = document.createElement('option');
+      opt.value = id;
+      opt.textContent = shape.label;
+      shapeSelect.appendChild(opt);
+    });
+    const unitLabel = document.createElement('label');
+    unitLabel.style.display = 'flex';
+    unitLabel.style.alignItems = 'center';
+    unitLabel.style.gap = '6px';
+    unitLabel.style.color = 'var(--muted)';
+    const unitInput = document.createElement('input');
+    unitInput.type = 'number';
+    unitInput.min = '1';
+    unitInput.max = '10';
+    unitInput.step = '1';
+    unitInput.value = '1';
+    unitInput.style.maxWidth = '56px';
+    unitLabel.append(document.createTextNode('블록 크기'), unitInput);
+    topRow.append(shapeSelect, unitLabel);
+    panel.appendChild(topRow);
+
+    const paramsBox = document.createElement('div');
+    paramsBox.className = 'row';
+    paramsBox.style.marginTop = '6px';
+    paramsBox.style.flexWrap = 'wrap';
+    panel.appendChild(paramsBox);
+
+    const btnRow = document.createElement('div');
+    btnRow.className = 'row';
+    btnRow.style.marginTop = '8px';
+    const mk = (text, cls)=>{
+      const b = document.createElement('button');
+      b.type = 'button';
+      b.className = cls;
+      b.textContent = text;
+      btnRow.appendChild(b);
+      return b;
+    };
+    const previewBtn = mk('미리보기', 'smallBtn alt');
+    const turnBtn = mk('90° 회전', 'smallBtn alt');
+    const placeBtn = mk('설치', 'smallBtn');
+    const cancelBtn = mk('취소', 'smallBtn alt');
+    panel.appendChild(btnRow);
+
+    const status = document.createElement('div');
+    status.style.marginTop = '8px';
+    status.style.fontSize = '13px';
+    status.style.color = 'var(--muted)';
+    panel.appendChild(status);
+
+    // values typed for each shape are kept while switching between shapes
+    const values = {};
+    let turns = 0;
+    function renderParams(){
+      const kind = shapeSelect.value;
+      const shape = GENERATOR_SHAPES[kind];
+      const v = values[kind] || (values[kind] = {});
+      paramsBox.textContent = '';
+      shape.params.forEach(p=>{
+        const wrap = document.createElement('label');
+        wrap.style.display = 'flex';
+        wrap.style.alignItems = 'center';
+        wrap.style.gap = '6px';
+        const inp = document.createElement('input');
+        if(p.type === 'bool'){
+          inp.type = 'checkbox';
+          inp.checked = p.key in v ? v[p.key] : p.default;
+          inp.addEventListener('change', ()=>{ v[p.key] = inp.checked; refreshPreview(); });
+          wrap.append(inp, document.createTextNode(p.label));
+        } else {
+          inp.type = 'number';
+          inp.min = String(p.min);
+          inp.max = String(p.max);
+          inp.step = '1';
+          inp.value = String(p.key in v ? v[p.key] : p.default);
+          inp.style.maxWidth = '64px';
+          inp.addEventListener('change', ()=>{ v[p.key] = parseInt(inp.value, 10); refreshPreview(); });
+          wrap.append(document.createTextNode(p.label), inp);
+        }
+        paramsBox.appendChild(wrap);
+      });
+    }
+
+    // (re)build the ghost from the form; the editor keeps a pinned ghost where it is
+    function showPreview(){
+      const res = generateShape(shapeSelect.value, values[shapeSelect.value], { unit: parseInt(unitInput.value, 10) || 1, turns });
+      if(res.error){
+        editor.cancelShape();
+        status.textContent = res.error;
+        return;
+      }
+      if(!editor.previewShape(res.boxes, { unit: parseInt(unitInput.value, 10) || 1 })){
+        status.textContent = `파트가 너무 많습니다 (${res.boxes.length}개). 크기를 줄이거나 속을 채워 주세요.`;
+        return;
+      }
+      status.textContent = `${res.size.join(' × ')} 스터드 · 파트 ${res.boxes.length}개 — 클릭한 위치에 고정한 뒤 설치(Enter)를 누르세요.`;
+    }
+    // form edits update a ghost that is already shown
+    function refreshPreview(){
+      if(editor.hasPendingShape && editor.hasPendingShape()) showPreview();
+    }
+    function syncButtons(){
+      const pending = !!(editor.hasPendingShape && editor.hasPendingShape());
+      placeBtn.disabled = cancelBtn.disabled = turnBtn.disabled = !pending;
+    }
+
+    shapeSelect.addEventListener('change', ()=>{ turns = 0; renderParams(); refreshPreview(); });
+    unitInput.addEventListener('change', refreshPreview);
+    previewBtn.addEventListener('click', showPreview);
+    turnBtn.addEventListener('click', ()=>{ turns = (turns + 1) % 4; showPreview(); });
+    placeBtn.addEventListener('click', ()=> editor.confirmShape());
+    cancelBtn.addEventListener('click', ()=>{ editor.cancelShape(); status.textContent = ''; });
+    window.addEventListener('shape:preview', syncButtons);
+    window.addEventListener('shape:placed', (e)=>{
+      const { placed, skipped } = e.detail;
+      status.textContent = skipped ? `파트 ${placed}개 설치 · 기존 블록과 겹친 ${skipped}개는 건너뜀` : `파트 ${placed}개 설치`;
+    });
+    renderParams();
+    syncButtons();
+
+    panelsRoot.insertBefore(panel, panelsRoot.firstChild);
+  })();
+  // --- end Generate panel ---
  
+  // open a build shared through the URL hash (#b=<share code>)
+  async function loadShareCodeFromHash(){
+    const code = shareCodeFromHash(location.hash);
+    await customMaterialsReady;
+    if(code) await applyShareCode(code);
+  }
+  loadShareCodeFromHash();
+  window.addEventListener('hashchange', loadShareCodeFromHash);
+
   // Block contextual menu removed: right-click now deletes a block directly (handled in editor).
   // Block options UI has been removed — change properties by selecting a block and using Paint / Material tools.
   